@@ -1,3 +1,335 @@
+import { deflateSync, inflateSync, strFromU8, strToU8 } from 'fflate';
+import { readXlsx, writeXlsx } from './xlsx.js';
+import { validateSchema } from './schema.js';
+import planSchema from '../data/plan.schema.json';
+
+// localStorage layout: an index of named plans plus one entry per plan.
+// LEGACY_PLAN_KEY is the single-plan key used before named plans existed.
+const PLAN_INDEX_KEY = 'lectureStudyPlans';
+const LEGACY_PLAN_KEY = 'lectureStudyPlan';
+
+function planStorageKey(planId) {
+    return `${LEGACY_PLAN_KEY}:${planId}`;
+}
+
+// Per course type: minimum required and maximum counted credits (null = no rule)
+function defaultCreditRequirements() {
+    return {
+        'Wajib': { min: 126, max: null },
+        'Pilihan': { min: 10, max: null },
+        'Lainnya': { min: null, max: 9 }
+    };
+}
+
+// Indonesian 4.0 scale
+function defaultGradePoints() {
+    return { 'A': 4.0, 'AB': 3.5, 'B': 3.0, 'BC': 2.5, 'C': 2.0, 'D': 1.0, 'E': 0 };
+}
+
+// IPS-based credit limits: the previous regular semester's IPS picks the first rule
+// whose minIps it reaches. projectedIps is assumed while that semester has no grades
+// (null = use the fixed limit). Disabled rules leave semesterMaxCredits in charge.
+function defaultCreditLimitRules() {
+    return {
+        enabled: false,
+        rules: [
+            { minIps: 3.0, maxCredits: 24 },
+            { minIps: 2.5, maxCredits: 21 },
+            { minIps: 0, maxCredits: 18 }
+        ],
+        projectedIps: null
+    };
+}
+
+// Where antara periods go: after every genap semester ('genap'), nowhere ('none'),
+// every `every` semesters starting after semester `from` ('every'), or after the
+// regular semester ids listed in `after` ('after')
+function defaultAntaraPlacement() {
+    return { mode: 'genap', every: 2, from: 2, after: [] };
+}
+
+// Regular semester numbers followed by an antara period, per settings.antaraPlacement.
+// Never after the last semester.
+function antaraPositions(settings) {
+    const totalSemesters = settings.totalSemesters || 8;
+    const placement = settings.antaraPlacement || defaultAntaraPlacement();
+    const termOffset = settings.startTerm === 'even' ? 1 : 0;
+    let positions = [];
+
+    if (placement.mode === 'after') {
+        positions = (placement.after || []).map(Number);
+    } else if (placement.mode === 'every') {
+        const every = Math.max(1, parseInt(placement.every) || 1);
+        for (let i = Math.max(1, parseInt(placement.from) || 1); i < totalSemesters; i += every) {
+            positions.push(i);
+        }
+    } else if (placement.mode !== 'none') {
+        for (let i = 1; i < totalSemesters; i++) {
+            if ((i - 1 + termOffset) % 2 === 1) positions.push(i);
+        }
+    }
+
+    return [...new Set(positions)]
+        .filter(i => Number.isInteger(i) && i >= 1 && i < totalSemesters)
+        .sort((a, b) => a - b);
+}
+
+// Semester ids in order ("1", "2", "antara-1", ...), as generateSemesterList numbers them
+function semesterIds(settings) {
+    const positions = antaraPositions(settings);
+    const ids = [];
+    for (let i = 1; i <= (settings.totalSemesters || 8); i++) {
+        ids.push(String(i));
+        if (positions.includes(i)) {
+            ids.push(`antara-${positions.indexOf(i) + 1}`);
+        }
+    }
+    return ids;
+}
+
+// Version of the saved/exported data shape. Data without a version field is version 1.
+// When the shape changes, bump SCHEMA_VERSION and add the step from the previous version.
+const SCHEMA_VERSION = 4;
+
+// Undo steps kept per plan
+const HISTORY_LIMIT = 50;
+
+// Per-student fields of a course; everything else on a course comes from the catalog
+const ASSIGNMENT_FIELDS = ['assignedSemester', 'status', 'grade', 'attempts', 'locked'];
+
+// Catalog fields a student edits on a course; these are the local edits a catalog update keeps.
+// Ordering and grouping rules (prerequisites, corequisites, alternativeGroup, offeredIn) always
+// come from the catalog.
+const EDITABLE_CATALOG_FIELDS = ['code', 'name', 'type', 'credits', 'lecturer', 'recommendedSemester'];
+
+function splitAssignment(course) {
+    const catalogFields = { ...course };
+    const assignment = {};
+    ASSIGNMENT_FIELDS.forEach(field => {
+        if (field in catalogFields) {
+            assignment[field] = catalogFields[field];
+            delete catalogFields[field];
+        }
+    });
+    return { catalogFields, assignment };
+}
+
+function hasAssignment(assignment) {
+    return Boolean(assignment.assignedSemester || assignment.status || assignment.grade ||
+        (assignment.attempts && assignment.attempts.length > 0));
+}
+
+const SCHEMA_MIGRATIONS = {
+    // 1 -> 2: settings always carry semester limits, credit requirements and grade points;
+    // courses carry requisites, alternative group, status, grade and past attempts
+    1: (data) => {
+        const migrated = { ...data };
+        if (data.settings) {
+            migrated.settings = {
+                totalSemesters: 8,
+                semesterMaxCredits: {},
+                creditRequirements: defaultCreditRequirements(),
+                gradePoints: defaultGradePoints(),
+                ...data.settings
+            };
+            if (!migrated.settings.totalSemesters) {
+                migrated.settings.totalSemesters = 8;
+            }
+        }
+        if (Array.isArray(data.courses)) {
+            migrated.courses = data.courses.map(course => ({
+                prerequisites: [],
+                corequisites: [],
+                alternativeGroup: null,
+                assignedSemester: null,
+                status: course.assignedSemester ? 'planned' : null,
+                grade: null,
+                attempts: [],
+                ...course
+            }));
+        }
+        return migrated;
+    },
+    // 2 -> 3: assignments move out of the course list into an id-keyed map;
+    // catalogSync records which shipped courses the plan has already seen (null = not yet synced)
+    2: (data) => {
+        const migrated = { ...data };
+        if (Array.isArray(data.courses)) {
+            migrated.assignments = {};
+            migrated.courses = data.courses.map(course => {
+                const { catalogFields, assignment } = splitAssignment(course);
+                if (hasAssignment(assignment)) {
+                    migrated.assignments[course.id] = assignment;
+                }
+                return catalogFields;
+            });
+        }
+        migrated.catalogSync = { knownIds: null };
+        return migrated;
+    },
+    // 3 -> 4: plans carry recognized (transfer/RPL/MBKM) credit entries
+    3: (data) => ({ recognizedCredits: [], ...data })
+};
+
+function getSchemaVersion(data) {
+    return data.version === undefined ? 1 : data.version;
+}
+
+// CSV columns in export order. Imports match file headers to these by name (case-insensitive,
+// aliases included); exportOnly columns are written but never read back.
+const CSV_COLUMNS = [
+    { field: 'id', header: 'ID' },
+    { field: 'code', header: 'Code', aliases: ['Kode'], required: true },
+    { field: 'name', header: 'Name', aliases: ['Nama', 'Nama Mata Kuliah'], required: true },
+    { field: 'type', header: 'Type', aliases: ['Jenis', 'Tipe'] },
+    { field: 'credits', header: 'Credits', aliases: ['SKS'], required: true },
+    { field: 'lecturer', header: 'Lecturer', aliases: ['Dosen'] },
+    { field: 'recommendedSemester', header: 'Recommended Semester' },
+    { field: 'assignedSemester', header: 'Assigned Semester' },
+    { field: 'prerequisites', header: 'Prerequisites', aliases: ['Prasyarat'] },
+    { field: 'corequisites', header: 'Corequisites' },
+    { field: 'alternativeGroup', header: 'Alternative Group' },
+    { field: 'status', header: 'Status' },
+    { field: 'grade', header: 'Grade', aliases: ['Nilai'] },
+    { field: 'offeredIn', header: 'Offered In' },
+    { field: 'assignedPeriod', header: 'Assigned Period', exportOnly: true },
+    { field: 'recognizedFrom', header: 'Recognized From' },
+    { field: 'substitutes', header: 'Substitutes' }
+];
+
+// The delimiter used in the first record: ';' when it outnumbers ',' (Excel in Indonesian locales)
+function detectCSVDelimiter(text) {
+    let commas = 0;
+    let semicolons = 0;
+    let quoted = false;
+    for (const char of text) {
+        if (char === '"') quoted = !quoted;
+        else if (!quoted && (char === '\n' || char === '\r')) break;
+        else if (!quoted && char === ',') commas++;
+        else if (!quoted && char === ';') semicolons++;
+    }
+    return semicolons > commas ? ';' : ',';
+}
+
+/**
+ * Parse RFC 4180 CSV: quoted fields may hold delimiters, doubled quotes and line breaks;
+ * CRLF or LF line endings; a leading byte order mark is dropped. Blank records are skipped.
+ *
+ * @param {string} text - File contents
+ * @returns {Array<Array<string>>} Records, header first
+ */
+function parseCSV(text) {
+    const source = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+    const delimiter = detectCSVDelimiter(source);
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (quoted) {
+            if (char !== '"') {
+                field += char;
+            } else if (source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else {
+                quoted = false;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (quoted) {
+        throw new Error('Unterminated quoted field');
+    }
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+    return records.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+// Quote every cell and double embedded quotes, so commas, quotes and line breaks survive
+function formatCSVRow(cells) {
+    return cells.map(cell => `"${String(cell ?? '').replace(/"/g, '""')}"`).join(',');
+}
+
+function normalizeCSVHeader(header) {
+    return header.trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+// Column index for each CSV_COLUMNS field, matched by header name; -1 when the file lacks it
+function mapCSVHeaders(headers) {
+    const normalized = headers.map(normalizeCSVHeader);
+    const mapping = {};
+    CSV_COLUMNS.filter(column => !column.exportOnly).forEach(column => {
+        const names = [column.header, ...(column.aliases || [])].map(normalizeCSVHeader);
+        mapping[column.field] = normalized.findIndex(header => names.includes(header));
+    });
+    return mapping;
+}
+
+// File headers that match no CSV column (export-only columns count as known)
+function getUnknownCSVHeaders(headers) {
+    const known = CSV_COLUMNS.flatMap(column => [column.header, ...(column.aliases || [])]).map(normalizeCSVHeader);
+    return headers.filter(header => header.trim() && !known.includes(normalizeCSVHeader(header)));
+}
+
+// Share links carry a plan in the URL hash: deflated JSON, base64url-encoded
+const SHARE_HASH_PREFIX = '#share=';
+
+function encodeSharePayload(payload) {
+    const bytes = deflateSync(strToU8(JSON.stringify(payload)), { level: 9 });
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeSharePayload(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+    return JSON.parse(strFromU8(inflateSync(Uint8Array.from(binary, char => char.charCodeAt(0)))));
+}
+
+// Same catalog fields with the same values, whatever their order
+function matchesCatalogCourse(course, shipped) {
+    const fields = new Set([...Object.keys(course), ...Object.keys(shipped)]);
+    return [...fields].every(field => JSON.stringify(course[field]) === JSON.stringify(shipped[field]));
+}
+
+// Approximate academic calendar: ganjil runs September–January, genap February–June
+// and antara July–August. termIndex counts regular terms from the ganjil of startYear.
+function calendarTerm(startYear, termIndex) {
+    const year = startYear + Math.floor(termIndex / 2);
+    if (termIndex % 2 === 0) {
+        return { name: `${year}/${year + 1} Ganjil`, start: `${year}-09-01`, end: `${year + 1}-01-31` };
+    }
+    return { name: `${year}/${year + 1} Genap`, start: `${year + 1}-02-01`, end: `${year + 1}-06-30` };
+}
+
+// The antara following the regular term at termIndex: July–August after genap,
+// a January–February intersession after ganjil
+function calendarAntara(startYear, termIndex) {
+    const year = startYear + Math.floor(termIndex / 2);
+    if (termIndex % 2 === 0) {
+        return { name: `Antara Ganjil ${year}/${year + 1}`, start: `${year + 1}-01-01`, end: `${year + 1}-02-28` };
+    }
+    return { name: `Antara ${year + 1}`, start: `${year + 1}-07-01`, end: `${year + 1}-08-31` };
+}
+
 /**
  * Course Planning Application - Main Alpine.js Component
  * Extracted from inline script for better caching and performance
@@ -14,14 +346,69 @@ export function courseApp() {
                 '1': 20, '2': 20, '3': 24, '4': 24, '5': 24, '6': 24, '7': 24, '8': 24,
                 'antara-1': 9, 'antara-2': 9, 'antara-3': 9
             },
-            targetCredits: 145
+            targetCredits: 145,
+            creditRequirements: defaultCreditRequirements(),
+            gradePoints: defaultGradePoints(),
+            // Balanced workload: how many semesters a course may move from its recommendation
+            balanceTolerance: 1,
+            // Academic calendar: first year of the enrolment academic year (2025 = 2025/2026)
+            // and its term; without a start year semesters keep their numbered names
+            startYear: null,
+            startTerm: 'odd',
+            antaraPlacement: defaultAntaraPlacement(),
+            creditLimitRules: defaultCreditLimitRules(),
+            // Semester ids whose courses no automatic action may change
+            lockedSemesters: []
         },
         semesterList: [],
         courses: [],
+        // Named study plans stored in this browser: [{ id, name }]
+        plans: [],
+        activePlanId: null,
+        // Set when the active plan was saved by a newer app version; saving is disabled so it is not overwritten
+        planLocked: false,
+        // Plan opened from a share link: { name }. It is shown read-only and never saved in this browser.
+        sharedPlan: null,
+        // Shipped catalog course ids this plan has seen; null when the plan uses its own imported catalog
+        catalogSync: null,
+        // Credits recognized from elsewhere (transfer, RPL, MBKM):
+        // [{ id, source, credits, type, substitutesCourseId, semester }]
+        recognizedCredits: [],
+        // Result of the last catalog merge, shown until dismissed: { added, updated, removed }
+        catalogUpdate: null,
+        // Undo/redo stacks of { label, snapshot }; historyBase is the snapshot of the last saved state
+        undoStack: [],
+        redoStack: [],
+        historyBase: null,
+        // Lifecycle of an assignment; failed and withdrawn send the course back to the pool
+        courseStatuses: ['planned', 'in_progress', 'passed', 'failed', 'withdrawn'],
+        // Terms a course can be offered in; a course with no offeredIn terms runs in all of them
+        offeringTerms: ['odd', 'even', 'antara'],
         showAddModal: false,
         showValidationSummary: false,
         showImportExportModal: false,
         showSettingsModal: false,
+        showProposalModal: false,
+        // Proposal from the fastest-path or balanced-workload planner, previewed before it is applied
+        planProposal: null,
+        // What-if preview of moving or failing one assigned course: { courseId, action, target, before, impact }
+        whatIf: null,
+        // Layout settings the semester list was last built from, to undo a refused layout change
+        semesterLayout: null,
+        showRecognizedModal: false,
+        showCsvMappingModal: false,
+        showImportPreviewModal: false,
+        showImportValidationModal: false,
+        // JSON file that failed schema validation: { data, problems, skipped } where skipped
+        // holds the row keys (e.g. "courses[3]", "settings.targetCredits") left out of the import
+        importValidation: null,
+        // Parsed file waiting in the import preview:
+        // { source, courses, settings, recognizedCredits, catalogSync, mode, excluded, includeSettings }
+        importPreview: null,
+        // CSV or Excel file waiting for its columns to be mapped: { source, headers, records, mapping, unknownHeaders }
+        csvImport: null,
+        // Form of the recognized-credits modal
+        newRecognized: { source: '', credits: 0, substitutesCourseId: '', type: 'Pilihan', semester: '1' },
         lastSaved: null,
         editingCourse: null,
         newCourse: {
@@ -32,13 +419,23 @@ export function courseApp() {
             credits: 0,
             lecturer: '',
             recommendedSemester: 1,
-            assignedSemester: null
+            prerequisites: [],
+            corequisites: [],
+            alternativeGroup: null,
+            offeredIn: [],
+            assignedSemester: null,
+            status: null,
+            grade: null,
+            attempts: []
         },
         // Performance: Cache for computed properties
         _cachedUnassigned: null,
         _cachedTotal: null,
         _lastCoursesUpdate: 0,
         _lastTotalUpdate: 0,
+        _cachedAudit: null,
+        _auditKey: null,
+        _auditTranslations: null,
 
         // Focus trap for modal accessibility
         focusTrap: {
@@ -153,20 +550,28 @@ export function courseApp() {
 
         async init() {
             await this.loadTranslations();
+            this.loadPlanIndex();
 
-            // Check localStorage first
-            const hasLocalStorage = this.loadFromLocalStorage();
+            if (!(await this.openSharedLink())) {
+                // Check localStorage first
+                const hasLocalStorage = this.loadFromLocalStorage();
 
-            // Only load defaults if localStorage is empty
-            if (!hasLocalStorage) {
-                this.announceStatus(this.t('loading_courses'));
-                await this.loadData();
-                this.announceStatus(this.t('courses_loaded'));
-            } else {
-                this.announceStatus(this.t('courses_loaded'));
-            }
+                // Only load defaults if localStorage is empty
+                if (!hasLocalStorage) {
+                    this.announceStatus(this.t('loading_courses'));
+                    await this.loadData();
+                    this.announceStatus(this.t('courses_loaded'));
+                } else {
+                    await this.syncCatalog();
+                    this.announceStatus(this.t('courses_loaded'));
+                }
 
-            this.generateSemesterList();
+                this.generateSemesterList();
+                this.ensureSettingsDefaults();
+                this.resetHistory();
+            }
+            // A share link pasted into an open tab
+            window.addEventListener('hashchange', () => this.openSharedLink());
 
             // Watch for modal changes to manage focus trapping
             this.$watch('showAddModal', (isOpen) => {
@@ -210,26 +615,114 @@ export function courseApp() {
                     this.focusTrap.deactivate(modal);
                 }
             });
+
+            this.$watch('showProposalModal', (isOpen) => {
+                if (isOpen) {
+                    this.$nextTick(() => {
+                        const modal = document.querySelector('[x-show="showProposalModal"] > div');
+                        if (modal) {
+                            this.focusTrap.activate(modal);
+                        }
+                    });
+                } else {
+                    const modal = document.querySelector('[x-show="showProposalModal"] > div');
+                    this.focusTrap.deactivate(modal);
+                }
+            });
+
+            this.$watch('showImportPreviewModal', (isOpen) => {
+                if (isOpen) {
+                    this.$nextTick(() => {
+                        const modal = document.querySelector('[x-show="showImportPreviewModal"] > div');
+                        if (modal) {
+                            this.focusTrap.activate(modal);
+                        }
+                    });
+                } else {
+                    const modal = document.querySelector('[x-show="showImportPreviewModal"] > div');
+                    this.focusTrap.deactivate(modal);
+                }
+            });
+
+            this.$watch('showImportValidationModal', (isOpen) => {
+                if (isOpen) {
+                    this.$nextTick(() => {
+                        const modal = document.querySelector('[x-show="showImportValidationModal"] > div');
+                        if (modal) {
+                            this.focusTrap.activate(modal);
+                        }
+                    });
+                } else {
+                    const modal = document.querySelector('[x-show="showImportValidationModal"] > div');
+                    this.focusTrap.deactivate(modal);
+                }
+            });
+
+            this.$watch('showCsvMappingModal', (isOpen) => {
+                if (isOpen) {
+                    this.$nextTick(() => {
+                        const modal = document.querySelector('[x-show="showCsvMappingModal"] > div');
+                        if (modal) {
+                            this.focusTrap.activate(modal);
+                        }
+                    });
+                } else {
+                    const modal = document.querySelector('[x-show="showCsvMappingModal"] > div');
+                    this.focusTrap.deactivate(modal);
+                }
+            });
+
+            this.$watch('showRecognizedModal', (isOpen) => {
+                if (isOpen) {
+                    this.$nextTick(() => {
+                        const modal = document.querySelector('[x-show="showRecognizedModal"] > div');
+                        if (modal) {
+                            this.focusTrap.activate(modal);
+                        }
+                    });
+                } else {
+                    const modal = document.querySelector('[x-show="showRecognizedModal"] > div');
+                    this.focusTrap.deactivate(modal);
+                }
+            });
         },
 
         generateSemesterList() {
             this.semesterList = [];
             const totalSemesters = this.settings.totalSemesters || 8;
+            const startYear = this.settings.startYear;
+            // Enrolling in a genap term puts the calendar one term ahead of the semester number
+            const termOffset = this.settings.startTerm === 'even' ? 1 : 0;
+            const antaraPositions = this.getAntaraPositions();
+            let antaraNum = 0;
             
             for (let i = 1; i <= totalSemesters; i++) {
+                const termIndex = i - 1 + termOffset;
+                const term = termIndex % 2 === 0 ? 'odd' : 'even';
+                const period = startYear ? calendarTerm(startYear, termIndex) : null;
                 this.semesterList.push({
                     id: String(i),
-                    name: `Semester ${i}`,
-                    type: 'normal'
+                    name: period ? period.name : `Semester ${i}`,
+                    shortName: `Semester ${i}`,
+                    type: 'normal',
+                    term,
+                    start: period ? period.start : null,
+                    end: period ? period.end : null
                 });
                 
-                // Add antara semester after every 2nd semester, but not after the last semester
-                if (i % 2 === 0 && i < totalSemesters) {
-                    const antaraNum = i / 2;
+                if (antaraPositions.includes(i)) {
+                    antaraNum++;
+                    const antaraPeriod = startYear ? calendarAntara(startYear, termIndex) : null;
                     this.semesterList.push({
                         id: `antara-${antaraNum}`,
-                        name: `Antara ${antaraNum}`,
-                        type: 'antara'
+                        name: antaraPeriod ? antaraPeriod.name : `Antara ${antaraNum}`,
+                        shortName: `Antara ${antaraNum}`,
+                        type: 'antara',
+                        term: 'antara',
+                        // Regular semester the antara follows; used to keep assignments in place when the layout changes
+                        after: String(i),
+                        start: antaraPeriod ? antaraPeriod.start : null,
+                        end: antaraPeriod ? antaraPeriod.end : null
                     });
                 }
             }
@@ -243,12 +736,164 @@ export function courseApp() {
             }
             
             // Ensure antara semester credits exist
-            const antaraCount = Math.floor((totalSemesters - 1) / 2);
-            for (let i = 1; i <= antaraCount; i++) {
+            for (let i = 1; i <= antaraNum; i++) {
                 if (!this.settings.semesterMaxCredits[`antara-${i}`]) {
                     this.settings.semesterMaxCredits[`antara-${i}`] = 9;
                 }
             }
+
+            this.semesterLayout = JSON.parse(JSON.stringify({
+                totalSemesters: this.settings.totalSemesters,
+                startTerm: this.settings.startTerm,
+                startYear: this.settings.startYear,
+                antaraPlacement: this.settings.antaraPlacement
+            }));
+        },
+
+        getAntaraPositions() {
+            return antaraPositions(this.settings);
+        },
+
+        // Rebuild the semester list after a settings change and keep antara assignments
+        // attached to the regular semester their antara followed
+        updateSemesterLayout() {
+            const previous = this.semesterList;
+            const previousLayout = this.semesterLayout;
+            this.generateSemesterList();
+            const result = this.relocateAntaraAssignments(previous);
+            if (result.blocked.length > 0) {
+                // Locked courses stay where they are, so the layout change is undone
+                Object.assign(this.settings, JSON.parse(JSON.stringify(previousLayout)));
+                this.semesterList = previous;
+                this.semesterLayout = previousLayout;
+                alert([
+                    this.t('antara_layout_blocked'),
+                    ...result.blocked.map(course => `- ${course.code}: ${this.getSemesterName(course.assignedSemester)}`)
+                ].join('\n'));
+                return;
+            }
+            this.invalidateCache();
+
+            if (result.moved.length === 0 && result.returned.length === 0 && result.kept.length === 0) return;
+            const lines = [];
+            if (result.moved.length > 0) {
+                lines.push(this.t('antara_layout_moved'));
+                result.moved.forEach(({ course, from, to }) => lines.push(`- ${course.code}: ${from} → ${this.getSemesterName(to)}`));
+            }
+            if (result.kept.length > 0) {
+                lines.push(this.t('antara_layout_kept'));
+                result.kept.forEach(({ course, from, to }) => lines.push(`- ${course.code}: ${from} → ${this.getSemesterName(to)}`));
+            }
+            if (result.returned.length > 0) {
+                lines.push(this.t('antara_layout_returned'));
+                result.returned.forEach(({ course, from }) => lines.push(`- ${course.code}: ${from}`));
+            }
+            alert(lines.join('\n'));
+            this.announceStatus(this.t('antara_layout_changed'));
+        },
+
+        /**
+         * Move courses and credit limits of antara periods to the antara that now follows
+         * the same regular semester. When that antara no longer exists, planned courses go
+         * back to the pool; passed and in-progress courses move into the regular semester
+         * the antara followed, so no recorded result is lost. Nothing changes when a locked
+         * course would have to move; those courses are returned as blocked.
+         */
+        relocateAntaraAssignments(previousList) {
+            const result = { moved: [], kept: [], returned: [], blocked: [] };
+            const newIdAfter = {};
+            this.semesterList
+                .filter(s => s.type === 'antara')
+                .forEach(s => { newIdAfter[s.after] = s.id; });
+
+            // Old antara id -> { id in the new layout (or null), regular semester it followed, old name }
+            const targets = {};
+            const limits = {};
+            previousList
+                .filter(s => s.type === 'antara' && s.after)
+                .forEach(s => {
+                    targets[s.id] = { id: newIdAfter[s.after] || null, after: s.after, name: s.name };
+                    limits[s.id] = this.settings.semesterMaxCredits[s.id];
+                });
+
+            result.blocked = this.courses.filter(course => {
+                const target = targets[course.assignedSemester];
+                return target && target.id !== course.assignedSemester && this.isCourseLocked(course);
+            });
+            if (result.blocked.length > 0) return result;
+
+            this.settings.lockedSemesters = (this.settings.lockedSemesters || [])
+                .map(id => (targets[id] ? targets[id].id : id))
+                .filter(Boolean);
+
+            Object.entries(targets).forEach(([oldId, target]) => {
+                if (target.id && limits[oldId] !== undefined) {
+                    this.settings.semesterMaxCredits[target.id] = limits[oldId];
+                }
+            });
+
+            this.courses.forEach(course => {
+                (course.attempts || []).forEach(attempt => {
+                    const target = targets[attempt.semester];
+                    if (target && target.id) attempt.semester = target.id;
+                });
+
+                const target = targets[course.assignedSemester];
+                if (!target || target.id === course.assignedSemester) return;
+                if (target.id) {
+                    course.assignedSemester = target.id;
+                    result.moved.push({ course, from: target.name, to: target.id });
+                } else if (course.status === 'passed' || course.status === 'in_progress') {
+                    course.assignedSemester = target.after;
+                    result.kept.push({ course, from: target.name, to: target.after });
+                } else {
+                    course.assignedSemester = null;
+                    course.status = null;
+                    result.returned.push({ course, from: target.name });
+                }
+            });
+
+            return result;
+        },
+
+        // Fill settings added after a plan was saved: credit requirements for
+        // every known course type and the grade-to-point table
+        ensureSettingsDefaults() {
+            if (!this.settings.gradePoints) {
+                this.settings.gradePoints = defaultGradePoints();
+            }
+            if (!this.settings.creditRequirements) {
+                this.settings.creditRequirements = defaultCreditRequirements();
+            }
+            if (!Number.isInteger(this.settings.balanceTolerance) || this.settings.balanceTolerance < 0) {
+                this.settings.balanceTolerance = 1;
+            }
+            if (!Number.isInteger(this.settings.startYear)) {
+                this.settings.startYear = null;
+            }
+            if (!['odd', 'even'].includes(this.settings.startTerm)) {
+                this.settings.startTerm = 'odd';
+            }
+            if (!this.settings.antaraPlacement) {
+                this.settings.antaraPlacement = defaultAntaraPlacement();
+            }
+            if (!this.settings.creditLimitRules) {
+                this.settings.creditLimitRules = defaultCreditLimitRules();
+            }
+            if (!Array.isArray(this.settings.lockedSemesters)) {
+                this.settings.lockedSemesters = [];
+            }
+            this.getCourseTypes().forEach(type => {
+                if (!this.settings.creditRequirements[type]) {
+                    this.settings.creditRequirements[type] = { min: null, max: null };
+                }
+            });
+            Object.values(this.settings.creditRequirements).forEach(requirement => {
+                // A cleared number field gives ''; no limit is stored as null
+                ['min', 'max'].forEach(bound => {
+                    if (!Number.isFinite(requirement[bound])) requirement[bound] = null;
+                });
+            });
         },
 
         t(key) {
@@ -413,33 +1058,183 @@ export function courseApp() {
         },
 
         async loadData() {
+            const data = await this.fetchCatalog();
+            if (!data) return;
+
+            if (data.settings) {
+                this.settings = data.settings;
+            }
+
+            this.courses = this.joinAssignments(data.courses || [], data.assignments);
+            this.recognizedCredits = data.recognizedCredits || [];
+            this.catalogSync = { knownIds: this.courses.map(c => c.id) };
+        },
+
+        // The shipped catalog (data/courses.json), upgraded to the current schema
+        async fetchCatalog() {
             try {
                 const response = await fetch('./data/courses.json');
-                const data = await response.json();
+                return this.migrateData(await response.json());
+            } catch (error) {
+                console.error('Error loading data:', error);
+                return null;
+            }
+        },
 
-                if (data.settings) {
-                    this.settings = data.settings;
-                    // Ensure totalSemesters exists in settings
-                    if (!this.settings.totalSemesters) {
-                        this.settings.totalSemesters = 8;
-                    }
+        joinAssignments(courses, assignments = {}) {
+            return courses.map(course => ({
+                assignedSemester: null,
+                status: null,
+                grade: null,
+                attempts: [],
+                ...course,
+                ...(assignments[course.id] || {})
+            }));
+        },
+
+        // Stored shape: catalog fields and per-student assignments are kept apart
+        serializePlan() {
+            const courses = [];
+            const assignments = {};
+            this.courses.forEach(course => {
+                const { catalogFields, assignment } = splitAssignment(course);
+                courses.push(catalogFields);
+                if (hasAssignment(assignment)) {
+                    assignments[course.id] = assignment;
                 }
+            });
+            return {
+                version: SCHEMA_VERSION,
+                settings: this.settings,
+                courses,
+                assignments,
+                recognizedCredits: this.recognizedCredits,
+                catalogSync: this.catalogSync
+            };
+        },
 
-                this.courses = data.courses || [];
-            } catch (error) {
-                console.error('Error loading data:', error);
+        async syncCatalog() {
+            if (!this.catalogSync) return;
+
+            const catalog = await this.fetchCatalog();
+            if (!catalog || !Array.isArray(catalog.courses)) return;
+
+            const result = this.mergeCatalog(catalog.courses);
+            if (result.added.length || result.updated.length || result.removed.length) {
+                this.catalogUpdate = result;
+                this.invalidateCache();
+                this.saveToLocalStorage();
+                this.announceStatus(this.getCatalogUpdateText());
             }
         },
 
-        saveToLocalStorage() {
+        /**
+         * Bring the plan's courses up to date with the shipped catalog without touching assignments.
+         * Changed courses are updated in place, except for the fields in EDITABLE_CATALOG_FIELDS of
+         * a course the student edited (catalogModified); the flag is dropped once those match the
+         * catalog again. New courses are added, and courses no longer shipped are kept but flagged
+         * with removedFromCatalog.
+         */
+        mergeCatalog(catalogCourses) {
+            const result = { added: [], updated: [], removed: [] };
+            const shippedIds = new Set(catalogCourses.map(c => c.id));
+            // First sync of an older save: take the current catalog as the baseline
+            const firstSync = !this.catalogSync.knownIds;
+            const knownIds = new Set(this.catalogSync.knownIds || shippedIds);
+
+            catalogCourses.forEach(shipped => {
+                const { catalogFields } = splitAssignment(shipped);
+                const local = this.getCourseById(shipped.id);
+
+                if (!local) {
+                    // Known ids missing locally were deleted by the student
+                    if (!knownIds.has(shipped.id)) {
+                        this.courses.push(this.joinAssignments([catalogFields])[0]);
+                        result.added.push(shipped.code);
+                    }
+                    return;
+                }
+
+                if (local.removedFromCatalog) {
+                    delete local.removedFromCatalog;
+                }
+
+                const changed = Object.keys(catalogFields)
+                    .filter(field => JSON.stringify(local[field]) !== JSON.stringify(catalogFields[field]));
+                const editedFields = changed.filter(field => EDITABLE_CATALOG_FIELDS.includes(field));
+                if (firstSync && editedFields.length > 0) {
+                    // The save predates catalog tracking. The editable fields in the catalog are still
+                    // those it was created from, so a difference there is the student's own edit;
+                    // other differences are fields the save did not have yet.
+                    local.catalogModified = true;
+                }
+                if (local.catalogModified && editedFields.length === 0) {
+                    delete local.catalogModified;
+                }
+
+                const updates = local.catalogModified
+                    ? changed.filter(field => !EDITABLE_CATALOG_FIELDS.includes(field))
+                    : changed;
+                if (updates.length > 0) {
+                    updates.forEach(field => { local[field] = catalogFields[field]; });
+                    result.updated.push(local.code);
+                }
+            });
+
+            this.courses.forEach(course => {
+                if (knownIds.has(course.id) && !shippedIds.has(course.id) && !course.removedFromCatalog) {
+                    course.removedFromCatalog = true;
+                    result.removed.push(course.code);
+                }
+            });
+
+            this.catalogSync = { knownIds: [...new Set([...knownIds, ...shippedIds])] };
+            return result;
+        },
+
+        getCatalogUpdateText() {
+            if (!this.catalogUpdate) return '';
+            const { added, updated, removed } = this.catalogUpdate;
+            return [
+                [this.t('catalog_courses_updated'), updated],
+                [this.t('catalog_courses_added'), added],
+                [this.t('catalog_courses_removed'), removed]
+            ]
+                .filter(([, codes]) => codes.length > 0)
+                .map(([label, codes]) => `${label}: ${codes.join(', ')}`)
+                .join('. ');
+        },
+
+        /**
+         * Persist the active plan. Any change since the previous save becomes an undo step.
+         *
+         * @param {string} [historyLabel] - What changed, announced on undo/redo
+         */
+        saveToLocalStorage(historyLabel) {
+            if (this.sharedPlan) {
+                // A shared plan is read-only: put back any change instead of saving it
+                if (this.historyBase !== null && this.getHistorySnapshot() !== this.historyBase) {
+                    this.restoreHistorySnapshot(this.historyBase);
+                    return;
+                }
+                this.announceError(this.t('shared_plan_read_only'));
+                return;
+            }
+            if (this.planLocked) {
+                this.announceError(this.t('error_plan_locked'));
+                return;
+            }
+            // A what-if preview was measured against the plan before this change
+            this.whatIf = null;
+            this.recordHistory(historyLabel);
             try {
                 const now = new Date().toISOString();
                 const dataToSave = {
-                    settings: this.settings,
-                    courses: this.courses,
+                    ...this.serializePlan(),
                     lastSaved: now
                 };
-                localStorage.setItem('lectureStudyPlan', JSON.stringify(dataToSave));
+                localStorage.setItem(planStorageKey(this.activePlanId), JSON.stringify(dataToSave));
+                this.savePlanIndex();
                 this.lastSaved = now;
                 this.announceStatus(this.t('data_saved'));
             } catch (error) {
@@ -449,16 +1244,28 @@ export function courseApp() {
         },
 
         loadFromLocalStorage() {
+            this.planLocked = false;
             try {
-                const saved = localStorage.getItem('lectureStudyPlan');
+                const saved = localStorage.getItem(planStorageKey(this.activePlanId));
                 if (saved) {
-                    const data = JSON.parse(saved);
+                    const parsed = JSON.parse(saved);
+                    if (getSchemaVersion(parsed) > SCHEMA_VERSION) {
+                        // Leave the newer data untouched rather than overwrite it with defaults
+                        this.planLocked = true;
+                        this.announceError(this.t('error_newer_version'));
+                        alert(`${this.t('error_newer_version')}\n\n${this.t('error_plan_locked')}`);
+                        return false;
+                    }
+                    const data = this.migrateData(parsed);
                     if (data.settings) {
                         this.settings = data.settings;
                     }
                     if (data.courses) {
-                        this.courses = data.courses;
+                        this.courses = this.joinAssignments(data.courses, data.assignments);
                     }
+                    this.ensureSettingsDefaults();
+                    this.recognizedCredits = data.recognizedCredits || [];
+                    this.catalogSync = data.catalogSync || null;
                     if (data.lastSaved) {
                         this.lastSaved = data.lastSaved;
                     }
@@ -473,39 +1280,412 @@ export function courseApp() {
             }
         },
 
-        getLastSavedText() {
-            if (!this.lastSaved) return 'Never saved';
-            const date = new Date(this.lastSaved);
-            const now = new Date();
-            const diffMs = now - date;
-            const diffMins = Math.floor(diffMs / 60000);
+        getHistorySnapshot() {
+            return JSON.stringify({
+                settings: this.settings,
+                courses: this.courses,
+                recognizedCredits: this.recognizedCredits,
+                catalogSync: this.catalogSync
+            });
+        },
 
-            if (diffMins < 1) return 'Just now';
-            if (diffMins < 60) return `${diffMins} minute${diffMins > 1 ? 's' : ''} ago`;
-            const diffHours = Math.floor(diffMins / 60);
-            if (diffHours < 24) return `${diffHours} hour${diffHours > 1 ? 's' : ''} ago`;
-            return date.toLocaleString();
+        // Start a fresh history from the current state (after loading or switching plans)
+        resetHistory() {
+            this.undoStack = [];
+            this.redoStack = [];
+            this.historyBase = this.getHistorySnapshot();
         },
 
-        clearLocalStorage() {
-            if (confirm('Are you sure you want to clear all saved data? This will reset to the default lectures from JSON.')) {
-                localStorage.removeItem('lectureStudyPlan');
-                location.reload();
+        recordHistory(label) {
+            const snapshot = this.getHistorySnapshot();
+            if (this.historyBase === null || snapshot === this.historyBase) {
+                this.historyBase = snapshot;
+                return;
             }
+            this.undoStack.push({ label: label || this.t('history_change'), snapshot: this.historyBase });
+            if (this.undoStack.length > HISTORY_LIMIT) {
+                this.undoStack.shift();
+            }
+            this.redoStack = [];
+            this.historyBase = snapshot;
         },
 
-        exportToJSON() {
-            const dataToExport = {
-                settings: this.settings,
-                courses: this.courses,
-                exportDate: new Date().toISOString()
-            };
+        restoreHistorySnapshot(snapshot) {
+            const state = JSON.parse(snapshot);
+            this.settings = state.settings;
+            this.courses = state.courses;
+            this.recognizedCredits = state.recognizedCredits || [];
+            this.catalogSync = state.catalogSync;
+            this.generateSemesterList();
+            this.invalidateCache();
+            this.historyBase = this.getHistorySnapshot();
+            this.saveToLocalStorage();
+        },
 
-            const jsonString = JSON.stringify(dataToExport, null, 2);
-            const blob = new Blob([jsonString], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
+        undo() {
+            const entry = this.undoStack.pop();
+            if (!entry) return;
+            this.redoStack.push({ label: entry.label, snapshot: this.getHistorySnapshot() });
+            this.restoreHistorySnapshot(entry.snapshot);
+            this.announceStatus(`${this.t('undone')}: ${entry.label}`);
+        },
 
-            const link = document.createElement('a');
+        redo() {
+            const entry = this.redoStack.pop();
+            if (!entry) return;
+            this.undoStack.push({ label: entry.label, snapshot: this.getHistorySnapshot() });
+            this.restoreHistorySnapshot(entry.snapshot);
+            this.announceStatus(`${this.t('redone')}: ${entry.label}`);
+        },
+
+        // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS); text fields keep their native undo
+        handleHistoryShortcut(event) {
+            if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+            if (event.target.closest && event.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+
+            const key = event.key.toLowerCase();
+            if (key === 'z' && !event.shiftKey) {
+                event.preventDefault();
+                this.undo();
+            } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+                event.preventDefault();
+                this.redo();
+            }
+        },
+
+        /**
+         * Read the list of named plans. On first run the plan saved under the
+         * legacy single-plan key becomes the first named plan.
+         */
+        loadPlanIndex() {
+            try {
+                const index = JSON.parse(localStorage.getItem(PLAN_INDEX_KEY) || 'null');
+                if (index && Array.isArray(index.plans) && index.plans.length > 0) {
+                    this.plans = index.plans;
+                    this.activePlanId = this.plans.some(p => p.id === index.activePlanId)
+                        ? index.activePlanId
+                        : this.plans[0].id;
+                    return;
+                }
+            } catch (error) {
+                console.error('Error loading plan list:', error);
+            }
+
+            const plan = { id: Date.now().toString(), name: this.t('default_plan_name') };
+            this.plans = [plan];
+            this.activePlanId = plan.id;
+
+            const legacy = localStorage.getItem(LEGACY_PLAN_KEY);
+            if (legacy) {
+                localStorage.setItem(planStorageKey(plan.id), legacy);
+                localStorage.removeItem(LEGACY_PLAN_KEY);
+            }
+            this.savePlanIndex();
+        },
+
+        savePlanIndex() {
+            localStorage.setItem(PLAN_INDEX_KEY, JSON.stringify({
+                activePlanId: this.activePlanId,
+                plans: this.plans
+            }));
+        },
+
+        /**
+         * Upgrade saved or imported data to SCHEMA_VERSION, one version at a time.
+         * Throws for versions newer than this app understands.
+         */
+        migrateData(data) {
+            let version = getSchemaVersion(data);
+            if (!Number.isInteger(version) || version < 1) {
+                throw new Error(`${this.t('error_unknown_version')}: ${data.version}`);
+            }
+            if (version > SCHEMA_VERSION) {
+                throw new Error(`${this.t('error_newer_version')} (v${version} > v${SCHEMA_VERSION})`);
+            }
+
+            let migrated = data;
+            while (version < SCHEMA_VERSION) {
+                migrated = SCHEMA_MIGRATIONS[version](migrated);
+                version++;
+            }
+            return { ...migrated, version };
+        },
+
+        // Timestamp id, bumped when two plans are created within the same millisecond
+        newPlanId() {
+            let id = Date.now();
+            while (this.plans.some(p => p.id === id.toString())) id++;
+            return id.toString();
+        },
+
+        get activePlanName() {
+            const plan = this.plans.find(p => p.id === this.activePlanId);
+            return plan ? plan.name : '';
+        },
+
+        // Load the active plan, falling back to the default catalog for a plan never saved
+        async loadActivePlan() {
+            this.catalogUpdate = null;
+            this.historyBase = null;
+            if (this.loadFromLocalStorage()) {
+                await this.syncCatalog();
+            } else {
+                this.lastSaved = null;
+                await this.loadData();
+            }
+            this.generateSemesterList();
+            this.ensureSettingsDefaults();
+            this.invalidateCache();
+            this.resetHistory();
+        },
+
+        async switchPlan(planId) {
+            if (planId === this.activePlanId || !this.plans.some(p => p.id === planId)) return;
+
+            this.saveToLocalStorage();
+            this.activePlanId = planId;
+            this.savePlanIndex();
+            await this.loadActivePlan();
+            this.announceStatus(`${this.t('plan_switched')}: ${this.activePlanName}`);
+        },
+
+        askPlanName(defaultName) {
+            const name = prompt(this.t('plan_name_prompt'), defaultName);
+            return name && name.trim() ? name.trim() : null;
+        },
+
+        // New plan starting from the default catalog
+        async createPlan() {
+            const name = this.askPlanName(`${this.t('plan')} ${this.plans.length + 1}`);
+            if (!name) return;
+
+            this.saveToLocalStorage();
+            const plan = { id: this.newPlanId(), name };
+            this.plans.push(plan);
+            this.activePlanId = plan.id;
+            await this.loadActivePlan();
+            this.saveToLocalStorage();
+            this.announceStatus(`${this.t('plan_created')}: ${name}`);
+        },
+
+        // New plan with a copy of the current settings and assignments
+        duplicatePlan() {
+            const name = this.askPlanName(`${this.activePlanName} (${this.t('copy')})`);
+            if (!name) return;
+
+            this.saveToLocalStorage();
+            const plan = { id: this.newPlanId(), name };
+            this.plans.push(plan);
+            this.activePlanId = plan.id;
+            this.planLocked = false;
+            this.settings = JSON.parse(JSON.stringify(this.settings));
+            this.courses = JSON.parse(JSON.stringify(this.courses));
+            this.recognizedCredits = JSON.parse(JSON.stringify(this.recognizedCredits));
+            this.catalogSync = JSON.parse(JSON.stringify(this.catalogSync));
+            this.invalidateCache();
+            this.resetHistory();
+            this.saveToLocalStorage();
+            this.announceStatus(`${this.t('plan_created')}: ${name}`);
+        },
+
+        renamePlan() {
+            const plan = this.plans.find(p => p.id === this.activePlanId);
+            if (!plan) return;
+
+            const name = this.askPlanName(plan.name);
+            if (!name) return;
+
+            plan.name = name;
+            this.savePlanIndex();
+            this.announceStatus(`${this.t('plan_renamed')}: ${name}`);
+        },
+
+        async deletePlan() {
+            if (this.plans.length <= 1) {
+                this.announceError(this.t('error_last_plan'));
+                alert(this.t('error_last_plan'));
+                return;
+            }
+            if (!confirm(`${this.t('confirm_delete_plan')}\n\n${this.activePlanName}`)) return;
+
+            const deletedName = this.activePlanName;
+            localStorage.removeItem(planStorageKey(this.activePlanId));
+            this.plans = this.plans.filter(p => p.id !== this.activePlanId);
+            this.activePlanId = this.plans[0].id;
+            this.savePlanIndex();
+            await this.loadActivePlan();
+            this.announceStatus(`${this.t('plan_deleted')}: ${deletedName}`);
+        },
+
+        /**
+         * Plan data for a share link. A plan that follows the shipped catalog only carries the
+         * courses that differ from it and the ids of catalog courses it dropped.
+         */
+        async getSharePayload() {
+            const plan = this.serializePlan();
+            const payload = { ...plan, name: this.sharedPlan ? this.sharedPlan.name : this.activePlanName };
+            const catalog = this.catalogSync ? await this.fetchCatalog() : null;
+            if (catalog && Array.isArray(catalog.courses)) {
+                const shipped = new Map(catalog.courses.map(course => [course.id, splitAssignment(course).catalogFields]));
+                const planIds = new Set(plan.courses.map(course => course.id));
+                payload.courses = plan.courses.filter(course =>
+                    !shipped.has(course.id) || !matchesCatalogCourse(course, shipped.get(course.id)));
+                payload.removedCourseIds = [...shipped.keys()].filter(id => !planIds.has(id));
+                delete payload.catalogSync;
+            }
+            return payload;
+        },
+
+        async getShareLink() {
+            const base = window.location.href.split('#')[0];
+            return `${base}${SHARE_HASH_PREFIX}${encodeSharePayload(await this.getSharePayload())}`;
+        },
+
+        /**
+         * Copy a link to the current plan. Falls back to showing the link when the
+         * clipboard cannot be used.
+         *
+         * @returns {Promise<boolean>} Whether the link was copied
+         */
+        async copyShareLink() {
+            const link = await this.getShareLink();
+            try {
+                await navigator.clipboard.writeText(link);
+                this.announceStatus(this.t('share_link_copied'));
+                return true;
+            } catch (error) {
+                console.error('Error copying share link:', error);
+                prompt(this.t('share_link_copy_manually'), link);
+                return false;
+            }
+        },
+
+        /**
+         * Show the plan of a #share= link read-only. Plans stored in this browser are left
+         * untouched unless the shared plan is imported as a new plan.
+         *
+         * @returns {Promise<boolean>} Whether a shared plan was opened
+         */
+        async openSharedLink() {
+            const hash = window.location.hash;
+            if (!hash.startsWith(SHARE_HASH_PREFIX)) return false;
+
+            let data;
+            try {
+                data = await this.expandSharePayload(this.migrateData(decodeSharePayload(hash.slice(SHARE_HASH_PREFIX.length))));
+                const problems = this.validateImportData(data, []);
+                if (problems.length > 0) {
+                    throw new Error(problems.slice(0, 3).map(problem => this.formatImportProblem(problem)).join('\n'));
+                }
+            } catch (error) {
+                console.error('Error opening share link:', error);
+                this.announceError(this.t('share_link_invalid'));
+                alert(`${this.t('share_link_invalid')}\n\n${error.message}`);
+                this.clearShareHash();
+                return false;
+            }
+
+            this.sharedPlan = { name: typeof data.name === 'string' && data.name.trim() ? data.name.trim() : this.t('shared_plan') };
+            this.catalogUpdate = null;
+            this.lastSaved = null;
+            if (data.settings) {
+                this.settings = data.settings;
+            }
+            this.courses = this.joinAssignments(data.courses, data.assignments || {});
+            this.recognizedCredits = data.recognizedCredits || [];
+            this.catalogSync = data.catalogSync || null;
+            this.generateSemesterList();
+            this.ensureSettingsDefaults();
+            this.invalidateCache();
+            this.resetHistory();
+            this.announceStatus(`${this.t('shared_plan')}: ${this.sharedPlan.name}`);
+            return true;
+        },
+
+        // Rebuild the full course list of a link made from a plan that follows the shipped catalog
+        async expandSharePayload(payload) {
+            if (!Array.isArray(payload.removedCourseIds)) return payload;
+
+            const catalog = await this.fetchCatalog();
+            if (!catalog || !Array.isArray(catalog.courses)) {
+                throw new Error('Course catalog could not be loaded');
+            }
+            const { removedCourseIds, ...data } = payload;
+            const shared = new Map((data.courses || []).map(course => [course.id, course]));
+            const shippedIds = catalog.courses.map(course => course.id);
+            const courses = [
+                ...catalog.courses
+                    .filter(course => !removedCourseIds.includes(course.id))
+                    .map(course => shared.get(course.id) || splitAssignment(course).catalogFields),
+                ...(data.courses || []).filter(course => !shippedIds.includes(course.id))
+            ];
+            return { ...data, courses, catalogSync: { knownIds: shippedIds } };
+        },
+
+        // Keep the shared plan as a new plan in this browser; existing plans are not touched
+        importSharedPlan() {
+            if (!this.sharedPlan) return;
+            const name = this.askPlanName(this.sharedPlan.name);
+            if (!name) return;
+
+            this.sharedPlan = null;
+            this.clearShareHash();
+            const plan = { id: this.newPlanId(), name };
+            this.plans.push(plan);
+            this.activePlanId = plan.id;
+            this.planLocked = false;
+            this.resetHistory();
+            this.saveToLocalStorage();
+            this.announceStatus(`${this.t('plan_created')}: ${name}`);
+        },
+
+        // Leave the shared plan and return to the active plan of this browser
+        async closeSharedPlan() {
+            this.sharedPlan = null;
+            this.clearShareHash();
+            await this.loadActivePlan();
+            this.announceStatus(`${this.t('plan_switched')}: ${this.activePlanName}`);
+        },
+
+        clearShareHash() {
+            window.history.replaceState(null, '', window.location.href.split('#')[0]);
+        },
+
+        getLastSavedText() {
+            if (!this.lastSaved) return 'Never saved';
+            const date = new Date(this.lastSaved);
+            const now = new Date();
+            const diffMs = now - date;
+            const diffMins = Math.floor(diffMs / 60000);
+
+            if (diffMins < 1) return 'Just now';
+            if (diffMins < 60) return `${diffMins} minute${diffMins > 1 ? 's' : ''} ago`;
+            const diffHours = Math.floor(diffMins / 60);
+            if (diffHours < 24) return `${diffHours} hour${diffHours > 1 ? 's' : ''} ago`;
+            return date.toLocaleString();
+        },
+
+        // Reset the active plan to the default catalog; other plans are kept
+        clearLocalStorage() {
+            if (confirm(this.t('confirm_reset_plan'))) {
+                localStorage.removeItem(planStorageKey(this.activePlanId));
+                location.reload();
+            }
+        },
+
+        exportToJSON() {
+            const dataToExport = {
+                ...this.serializePlan(),
+                // Semester labels for readers of the file; not read back on import
+                semesters: this.semesterList.map(({ id, name, start, end }) => ({ id, name, start, end })),
+                exportDate: new Date().toISOString()
+            };
+
+            const jsonString = JSON.stringify(dataToExport, null, 2);
+            const blob = new Blob([jsonString], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+
+            const link = document.createElement('a');
             link.href = url;
             link.download = `course-plan-${new Date().toISOString().split('T')[0]}.json`;
             link.click();
@@ -513,25 +1693,53 @@ export function courseApp() {
             URL.revokeObjectURL(url);
         },
 
-        exportToCSV() {
-            const headers = ['ID', 'Code', 'Name', 'Type', 'Credits', 'Lecturer', 'Recommended Semester', 'Assigned Semester'];
-            const rows = this.courses.map(c => [
-                c.id,
-                c.code,
-                c.name,
-                c.type,
-                c.credits,
-                c.lecturer,
-                c.recommendedSemester,
-                c.assignedSemester || ''
-            ]);
+        // One object per exported row, keyed by CSV_COLUMNS field; shared by the CSV and Excel exports
+        getExportRows() {
+            const rows = this.courses.map(c => ({
+                id: c.id,
+                code: c.code,
+                name: c.name,
+                type: c.type,
+                credits: c.credits,
+                lecturer: c.lecturer,
+                recommendedSemester: c.recommendedSemester,
+                assignedSemester: c.assignedSemester,
+                prerequisites: (c.prerequisites || []).join(';'),
+                corequisites: (c.corequisites || []).join(';'),
+                alternativeGroup: c.alternativeGroup,
+                status: c.assignedSemester ? (c.status || 'planned') : '',
+                grade: c.grade,
+                offeredIn: (c.offeredIn || []).join(';'),
+                assignedPeriod: c.assignedSemester ? this.getSemesterName(c.assignedSemester) : ''
+            }));
+            // Recognized credits follow the courses as rows with status 'recognized'
+            this.recognizedCredits.forEach(entry => {
+                const course = entry.substitutesCourseId ? this.getCourseById(entry.substitutesCourseId) : null;
+                rows.push({
+                    id: entry.id,
+                    code: course ? course.code : '',
+                    name: this.getRecognizedLabel(entry),
+                    type: this.getRecognizedType(entry),
+                    credits: entry.credits,
+                    assignedSemester: entry.semester,
+                    status: 'recognized',
+                    assignedPeriod: this.getSemesterName(entry.semester),
+                    recognizedFrom: entry.source,
+                    substitutes: entry.substitutesCourseId
+                });
+            });
+            return rows;
+        },
 
+        exportToCSV() {
+            const rows = this.getExportRows();
             const csvContent = [
-                headers.join(','),
-                ...rows.map(row => row.map(cell => `"${cell}"`).join(','))
-            ].join('\n');
+                formatCSVRow(CSV_COLUMNS.map(column => column.header)),
+                ...rows.map(row => formatCSVRow(CSV_COLUMNS.map(column => row[column.field])))
+            ].join('\r\n');
 
-            const blob = new Blob([csvContent], { type: 'text/csv' });
+            // The byte order mark makes Excel read the file as UTF-8
+            const blob = new Blob(['\uFEFF' + csvContent], { type: 'text/csv' });
             const url = URL.createObjectURL(blob);
 
             const link = document.createElement('a');
@@ -542,6 +1750,79 @@ export function courseApp() {
             URL.revokeObjectURL(url);
         },
 
+        /**
+         * Excel workbook of the plan: the catalog sheet (same columns as the CSV export, so it
+         * can be imported again), one sheet per semester with its credit totals, and a summary.
+         */
+        exportToXLSX() {
+            const catalog = [
+                CSV_COLUMNS.map(column => column.header),
+                ...this.getExportRows().map(row => CSV_COLUMNS.map(column => row[column.field] ?? ''))
+            ];
+            const gpa = value => (value === null ? '-' : Number(value.toFixed(2)));
+
+            const semesters = this.semesterList.map(semester => {
+                const rows = [[this.t('course_code'), this.t('course_name'), this.t('type'), this.t('credits_sks'), this.t('status'), this.t('grade')]];
+                this.getSemesterCourses(semester.id).forEach(c => {
+                    rows.push([c.code, c.name, c.type, c.credits, this.t(`status_${c.status || 'planned'}`), c.grade || '']);
+                });
+                this.getSemesterAttempts(semester.id).forEach(({ course, attempt }) => {
+                    rows.push([course.code, course.name, course.type, course.credits, this.t(`status_${attempt.status}`), attempt.grade || '']);
+                });
+                this.getSemesterRecognized(semester.id).forEach(entry => {
+                    rows.push(['', this.getRecognizedLabel(entry), this.getRecognizedType(entry), entry.credits, `${this.t('recognized')}: ${entry.source}`, '']);
+                });
+                rows.push(
+                    [],
+                    [this.t('total_credits_taken'), this.getSemesterCredits(semester.id)],
+                    [this.t('maximum'), this.getSemesterMaxCredits(semester.id)],
+                    [this.t('ips'), gpa(this.getSemesterGpa(semester.id))]
+                );
+                return { name: semester.name, rows };
+            });
+
+            const audit = this.getGraduationAudit();
+            const result = passed => this.t(passed ? 'audit_pass' : 'audit_fail');
+            const summary = [
+                [this.t('summary'), this.activePlanName],
+                [this.t('total_credits_taken'), this.totalCreditsTaken],
+                [this.t('target_credits'), this.settings.targetCredits],
+                [this.t('earned'), this.earnedCredits],
+                [this.t('planned'), this.plannedCredits],
+                [this.t('recognized'), this.getRecognizedCreditsTotal()],
+                [this.t('cumulative_gpa'), gpa(this.cumulativeGpa)],
+                [],
+                [this.t('credits_by_type'), this.t('credits_sks'), this.t('minimum'), this.t('maximum')],
+                ...this.getCreditRequirementStatus().map(status => [status.type, status.credits, status.min ?? '', status.max ?? '']),
+                [],
+                [this.t('semester'), this.t('credits_sks'), this.t('maximum'), this.t('ips')],
+                ...this.semesterList.map(semester => [
+                    semester.name,
+                    this.getSemesterCredits(semester.id),
+                    this.getSemesterMaxCredits(semester.id),
+                    gpa(this.getSemesterGpa(semester.id))
+                ]),
+                [],
+                [this.t('graduation_audit'), result(audit.passed)],
+                ...audit.checks.map(check => [check.summary, result(check.passed), check.deficits.join('; ')])
+            ];
+
+            const workbook = writeXlsx([
+                { name: this.t('xlsx_catalog_sheet'), rows: catalog },
+                ...semesters,
+                { name: this.t('summary'), rows: summary }
+            ]);
+            const blob = new Blob([workbook], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+            const url = URL.createObjectURL(blob);
+
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `course-plan-${new Date().toISOString().split('T')[0]}.xlsx`;
+            link.click();
+
+            URL.revokeObjectURL(url);
+        },
+
         exportToPDF() {
             // Ensure validation summary is shown for print
             this.showValidationSummary = true;
@@ -561,37 +1842,7 @@ export function courseApp() {
             const reader = new FileReader();
             reader.onload = (e) => {
                 try {
-                    const text = e.target.result;
-                    const lines = text.split('\n');
-                    const headers = lines[0].split(',').map(h => h.trim().replace(/"/g, ''));
-
-                    const newCourses = [];
-                    for (let i = 1; i < lines.length; i++) {
-                        if (!lines[i].trim()) continue;
-
-                        const values = lines[i].match(/(".*?"|[^,]+)(?=\s*,|\s*$)/g).map(v => v.trim().replace(/^"|"$/g, ''));
-
-                        const course = {
-                            id: values[0] || Date.now().toString() + i,
-                            code: values[1] || '',
-                            name: values[2] || '',
-                            type: values[3] || 'Wajib',
-                            credits: parseInt(values[4]) || 0,
-                            lecturer: values[5] || '',
-                            recommendedSemester: parseInt(values[6]) || 1,
-                            assignedSemester: values[7] || null
-                        };
-                        newCourses.push(course);
-                    }
-
-                    if (confirm(this.t('import_confirm').replace('${newCourses.length}', newCourses.length))) {
-                        this.courses = newCourses;
-                        this.invalidateCache();
-                        this.saveToLocalStorage();
-                        this.showImportExportModal = false;
-                        this.announceStatus(this.t('import_successful'));
-                        alert(this.t('import_successful'));
-                    }
+                    this.importTable(parseCSV(e.target.result), 'csv');
                 } catch (error) {
                     console.error('Error parsing CSV:', error);
                     this.announceError(this.t('import_error'));
@@ -602,7 +1853,8 @@ export function courseApp() {
             reader.readAsText(file);
         },
 
-        importJSON(event) {
+        // Excel files go through the same column mapping and preview as CSV
+        importXLSX(event) {
             const file = event.target.files[0];
             if (!file) return;
 
@@ -611,39 +1863,172 @@ export function courseApp() {
             const reader = new FileReader();
             reader.onload = (e) => {
                 try {
-                    const data = JSON.parse(e.target.result);
+                    const sheets = readXlsx(e.target.result);
+                    // The catalog sheet is the first one with the required columns, else the first sheet
+                    const hasRequiredColumns = sheet => {
+                        if (sheet.rows.length === 0) return false;
+                        const mapping = mapCSVHeaders(sheet.rows[0]);
+                        return CSV_COLUMNS.every(column => !column.required || mapping[column.field] >= 0);
+                    };
+                    const sheet = sheets.find(hasRequiredColumns) || sheets[0];
+                    const rows = (sheet ? sheet.rows : [])
+                        .map(row => row.map(cell => String(cell)))
+                        .filter(row => row.some(cell => cell.trim() !== ''));
+                    this.importTable(rows, 'xlsx');
+                } catch (error) {
+                    console.error('Error reading Excel file:', error);
+                    this.announceError(this.t('import_xlsx_error'));
+                    alert(this.t('import_xlsx_error'));
+                }
+                event.target.value = '';
+            };
+            reader.readAsArrayBuffer(file);
+        },
 
-                    // Validate the JSON structure
-                    if (!data.courses || !Array.isArray(data.courses)) {
-                        throw new Error('Invalid JSON format: missing courses array');
-                    }
+        /**
+         * Match the header row of an imported table to CSV_COLUMNS. Headers that don't
+         * match, or missing required columns, open the mapping dialog first; otherwise
+         * the import preview opens straight away.
+         *
+         * @param {Array<Array<string>>} rows - Header row followed by data records
+         * @param {string} source - 'csv' or 'xlsx'
+         */
+        importTable([headers, ...records], source) {
+            if (!headers) {
+                throw new Error('Empty file');
+            }
+            const mapping = mapCSVHeaders(headers);
+            const unknownHeaders = getUnknownCSVHeaders(headers);
+            const missingRequired = CSV_COLUMNS.some(column => column.required && mapping[column.field] === -1);
+
+            // Headers that don't match are mapped by hand before anything is imported
+            if (unknownHeaders.length > 0 || missingRequired) {
+                this.csvImport = { source, headers, records, mapping, unknownHeaders };
+                this.showImportExportModal = false;
+                this.showCsvMappingModal = true;
+            } else {
+                this.previewCSVImport(records, mapping, source);
+            }
+        },
 
-                    const courseCount = data.courses.length;
-                    const confirmMessage = `Import ${courseCount} courses from JSON backup?${data.settings ? '\n\nThis will also import settings including semester configuration and credit limits.' : ''}`;
-
-                    if (confirm(confirmMessage)) {
-                        // Import courses
-                        this.courses = data.courses;
-
-                        // Import settings if available
-                        if (data.settings) {
-                            this.settings = {
-                                ...this.settings,
-                                ...data.settings
-                            };
-                            // Ensure totalSemesters exists
-                            if (!this.settings.totalSemesters) {
-                                this.settings.totalSemesters = 8;
-                            }
-                            // Regenerate semester list based on imported settings
-                            this.generateSemesterList();
-                        }
+        // Import with the column mapping chosen in the mapping dialog
+        confirmCSVMapping() {
+            const { records, mapping, source } = this.csvImport;
+            const unmapped = CSV_COLUMNS.filter(column => column.required && mapping[column.field] === -1);
+            if (unmapped.length > 0) {
+                alert(`${this.t('csv_mapping_required')}: ${unmapped.map(column => column.header).join(', ')}`);
+                return;
+            }
+            this.showCsvMappingModal = false;
+            this.csvImport = null;
+            this.previewCSVImport(records, mapping, source);
+        },
+
+        cancelCSVMapping() {
+            this.showCsvMappingModal = false;
+            this.csvImport = null;
+        },
+
+        // Field options of the mapping dialog
+        getCSVMappingColumns() {
+            return CSV_COLUMNS.filter(column => !column.exportOnly);
+        },
+
+        /**
+         * Turn parsed CSV records into courses and open the import preview. Rows with
+         * status 'recognized' become recognized-credit entries instead of courses.
+         *
+         * @param {Array<Array<string>>} records - Data records, without the header
+         * @param {Object} mapping - Column index per CSV_COLUMNS field (-1 = not in the file)
+         * @param {string} source - 'csv' or 'xlsx'
+         */
+        previewCSVImport(records, mapping, source) {
+            const newCourses = [];
+            const recognized = [];
+            records.forEach((record, i) => {
+                const value = field => mapping[field] >= 0 ? (record[mapping[field]] || '').trim() : '';
+                const list = field => value(field).split(';').map(v => v.trim()).filter(Boolean);
+
+                if (value('status') === 'recognized') {
+                    recognized.push({
+                        id: value('id') || `rc-${Date.now()}-${i}`,
+                        source: value('recognizedFrom'),
+                        credits: parseInt(value('credits')) || 0,
+                        type: value('type') || 'Pilihan',
+                        substitutesCourseId: value('substitutes') || null,
+                        semester: value('assignedSemester') || '1'
+                    });
+                    return;
+                }
+
+                const course = {
+                    id: value('id') || Date.now().toString() + i,
+                    code: value('code'),
+                    name: value('name'),
+                    type: value('type') || 'Wajib',
+                    credits: parseInt(value('credits')) || 0,
+                    lecturer: value('lecturer'),
+                    // Antara recommendations are semester ids such as 'antara-1'
+                    recommendedSemester: /^\d+$/.test(value('recommendedSemester'))
+                        ? Number(value('recommendedSemester'))
+                        : value('recommendedSemester') || 1,
+                    assignedSemester: value('assignedSemester') || null,
+                    prerequisites: list('prerequisites'),
+                    corequisites: list('corequisites'),
+                    alternativeGroup: value('alternativeGroup') || null,
+                    status: value('status'),
+                    grade: value('grade') || null,
+                    offeredIn: list('offeredIn').filter(term => this.offeringTerms.includes(term)),
+                    attempts: []
+                };
+                // Fields the file has no column for (attempts never have one) keep the plan's values
+                const local = this.getCourseById(course.id);
+                if (local) {
+                    Object.keys(course)
+                        .filter(field => !(mapping[field] >= 0))
+                        .forEach(field => { course[field] = JSON.parse(JSON.stringify(local[field] ?? course[field])); });
+                }
+                course.status = course.assignedSemester
+                    ? (this.courseStatuses.includes(course.status) ? course.status : 'planned')
+                    : null;
+                newCourses.push(course);
+            });
 
-                        this.invalidateCache();
-                        this.saveToLocalStorage();
+            this.openImportPreview({
+                source,
+                courses: newCourses,
+                settings: null,
+                // Files without recognized-credit columns leave them as they are
+                recognizedCredits: mapping.recognizedFrom >= 0 ? recognized : null,
+                // An imported course list replaces the shipped catalog for this plan
+                catalogSync: null
+            });
+        },
+
+        importJSON(event) {
+            const file = event.target.files[0];
+            if (!file) return;
+
+            this.announceStatus(this.t('loading'));
+
+            const reader = new FileReader();
+            reader.onload = (e) => {
+                try {
+                    const parsed = JSON.parse(e.target.result);
+                    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+                        throw new Error('Invalid JSON format: expected a plan object');
+                    }
+                    const data = this.migrateData(parsed);
+
+                    // Files that break the schema are reported row by row before the preview
+                    const problems = this.validateImportData(data, []);
+                    if (problems.length > 0) {
+                        this.importValidation = { data, problems, skipped: [] };
                         this.showImportExportModal = false;
-                        this.announceStatus(this.t('import_successful'));
-                        alert(this.t('import_successful'));
+                        this.showImportValidationModal = true;
+                        this.announceError(`${problems.length} ${this.t('import_validation_problems')}`);
+                    } else {
+                        this.openJSONImportPreview(data);
                     }
                 } catch (error) {
                     console.error('Error parsing JSON:', error);
@@ -655,65 +2040,670 @@ export function courseApp() {
             reader.readAsText(file);
         },
 
-        getEmptyCourse() {
-            return {
-                id: '',
-                code: '',
-                name: '',
-                type: 'Wajib',
-                credits: 0,
-                lecturer: '',
-                recommendedSemester: 1,
-                assignedSemester: null
+        openJSONImportPreview(data) {
+            this.openImportPreview({
+                source: 'json',
+                courses: this.joinAssignments(data.courses, data.assignments || {}),
+                settings: data.settings || null,
+                recognizedCredits: data.recognizedCredits || [],
+                catalogSync: data.catalogSync || null
+            });
+        },
+
+        /**
+         * Check migrated plan data against data/plan.schema.json, then against the plan
+         * itself: unique course ids, semesters that exist under the file's settings and
+         * references to courses the file contains. Skipped rows (see importValidation) still
+         * report their own problems but no longer count as ids or semesters the plan has.
+         *
+         * @returns {Array<{path: string, keyword: string, params: Object, row: string|null}>}
+         */
+        validateImportData(data, skipped) {
+            const isSkipped = key => skipped.includes(key);
+            const problems = validateSchema(planSchema, data);
+            const add = (path, keyword, params = {}) => {
+                if (!problems.some(problem => problem.path === path)) {
+                    problems.push({ path, keyword, params });
+                }
+            };
+
+            const courses = Array.isArray(data.courses) ? data.courses : [];
+            const assignments = data.assignments && typeof data.assignments === 'object' ? data.assignments : {};
+            const keptIds = new Map();
+            courses.forEach((course, index) => {
+                if (!course || typeof course.id !== 'string' || isSkipped(`courses[${index}]`)) return;
+                if (keptIds.has(course.id)) {
+                    add(`courses[${index}].id`, 'duplicate', { path: `courses[${keptIds.get(course.id)}]` });
+                } else {
+                    keptIds.set(course.id, index);
+                }
+            });
+
+            // Settings that are skipped or break the schema fall back to the current plan's
+            const settings = data.settings && typeof data.settings === 'object' && !isSkipped('settings')
+                ? Object.fromEntries(Object.entries(data.settings).filter(([key]) =>
+                    !isSkipped(`settings.${key}`) && !problems.some(problem => this.getImportProblemRow(problem.path) === `settings.${key}`)))
+                : {};
+            const semesterIds = this.getPlanSemesterIds(settings);
+            const checkSemester = (path, semester) => {
+                if (typeof semester === 'string' && semester && !semesterIds.includes(semester)) {
+                    add(path, 'semester', { values: semesterIds });
+                }
+            };
+            const checkAssignment = (path, assignment) => {
+                if (!assignment || typeof assignment !== 'object') return;
+                checkSemester(`${path}.assignedSemester`, assignment.assignedSemester);
+                (Array.isArray(assignment.attempts) ? assignment.attempts : []).forEach((attempt, index) => {
+                    if (attempt) checkSemester(`${path}.attempts[${index}].semester`, attempt.semester);
+                });
             };
+
+            courses.forEach((course, index) => checkAssignment(`courses[${index}]`, course));
+            Object.entries(assignments).forEach(([id, assignment]) => {
+                if (!courses.some(course => course && course.id === id)) {
+                    add(`assignments.${id}`, 'course');
+                } else if (keptIds.has(id)) {
+                    checkAssignment(`assignments.${id}`, assignment);
+                }
+            });
+            (Array.isArray(data.recognizedCredits) ? data.recognizedCredits : []).forEach((entry, index) => {
+                if (!entry) return;
+                checkSemester(`recognizedCredits[${index}].semester`, entry.semester);
+                if (typeof entry.substitutesCourseId === 'string' && !keptIds.has(entry.substitutesCourseId)) {
+                    add(`recognizedCredits[${index}].substitutesCourseId`, 'course');
+                }
+            });
+
+            return problems.map(problem => ({ ...problem, row: this.getImportProblemRow(problem.path) }));
         },
 
-        // Performance: Cached computed property
-        get unassignedCourses() {
-            if (!this._cachedUnassigned || this._lastCoursesUpdate !== this.courses.length) {
-                this._cachedUnassigned = this.courses.filter(c => !c.assignedSemester);
-                this._lastCoursesUpdate = this.courses.length;
+        // Row a problem path belongs to; problems with the file itself (row null) cannot be skipped
+        getImportProblemRow(path) {
+            const match = path.match(/^(courses\[\d+\]|recognizedCredits\[\d+\]|assignments\.[^.[]+|settings\.[^.[]+|settings$|catalogSync)/);
+            return match ? match[1] : null;
+        },
+
+        // Semester ids a plan with these settings would have, defaults filled from the current plan
+        getPlanSemesterIds(settings) {
+            return semesterIds({ ...this.settings, ...settings });
+        },
+
+        formatImportProblem(problem) {
+            const { keyword, params } = problem;
+            let message;
+            if (keyword === 'type') {
+                message = `${this.t('schema_must_be')} ${params.type.map(type => this.t('schema_type_' + type)).join(' / ')}`;
+            } else if (keyword === 'range') {
+                message = `${this.t('schema_must_be')} ${params.min}–${params.max}`;
+            } else if (keyword === 'minimum') {
+                message = `${this.t('schema_at_least')} ${params.min}`;
+            } else if (keyword === 'maximum') {
+                message = `${this.t('schema_at_most')} ${params.max}`;
+            } else if (keyword === 'enum') {
+                message = `${this.t('schema_one_of')} ${params.values.join(', ')}`;
+            } else if (keyword === 'duplicate') {
+                message = `${this.t('schema_duplicate_id')} ${params.path}`;
+            } else {
+                message = this.t('schema_' + keyword);
             }
-            return this._cachedUnassigned;
+            return `${problem.path || this.t('schema_file')} ${message}`;
         },
 
-        // Performance: Cached computed property
-        get totalCreditsTaken() {
-            if (this._cachedTotal === null || this._lastTotalUpdate !== this.courses.length) {
-                this._cachedTotal = this.courses
-                    .filter(c => c.assignedSemester)
-                    .reduce((sum, c) => sum + c.credits, 0);
-                this._lastTotalUpdate = this.courses.length;
+        // Problems grouped by row, rows in the order their first problem was found
+        getImportValidationRows() {
+            const rows = [];
+            this.importValidation.problems.forEach(problem => {
+                let row = rows.find(r => r.key === problem.row);
+                if (!row) {
+                    row = { key: problem.row, label: this.getImportRowLabel(problem.row), problems: [] };
+                    rows.push(row);
+                }
+                row.problems.push(problem);
+            });
+            return rows;
+        },
+
+        getImportRowLabel(key) {
+            const index = key && key.match(/^courses\[(\d+)\]$/);
+            const course = index ? this.importValidation.data.courses[Number(index[1])] : null;
+            if (course && typeof course.code === 'string' && typeof course.name === 'string') {
+                return `${key} · ${course.code} - ${course.name}`;
             }
-            return this._cachedTotal;
+            return key || this.t('schema_file');
         },
 
-        get progressPercentage() {
-            return Math.round((this.totalCreditsTaken / this.settings.targetCredits) * 100);
+        /**
+         * How a problem can be fixed in place: a select for enumerations and semesters,
+         * a number or text input for other single values, null when only skipping helps.
+         */
+        getImportFix(problem) {
+            const value = this.getImportValue(problem.path);
+            const types = problem.params.type || [];
+            if (problem.keyword === 'additionalProperties' || (value !== null && typeof value === 'object') ||
+                types.includes('array') || types.includes('object')) return null;
+            if (problem.keyword === 'enum' || problem.keyword === 'semester') {
+                return { kind: 'select', options: problem.params.values };
+            }
+            const numeric = ['range', 'minimum', 'maximum'].includes(problem.keyword) ||
+                (types.some(type => type === 'integer' || type === 'number') && !types.includes('string'));
+            return { kind: numeric ? 'number' : 'text' };
         },
 
-        // Performance: Invalidate cache when courses change
-        invalidateCache() {
-            this._cachedUnassigned = null;
-            this._cachedTotal = null;
-            this._lastCoursesUpdate = 0;
-            this._lastTotalUpdate = 0;
+        // Path segments of "courses[12].attempts[0].semester": courses, 12, attempts, 0, semester
+        getImportPathSegments(path) {
+            return Array.from(path.matchAll(/([^.[\]]+)|\[(\d+)\]/g), m => (m[2] !== undefined ? Number(m[2]) : m[1]));
         },
 
-        openAddModal() {
-            this.editingCourse = null;
-            this.newCourse = this.getEmptyCourse();
-            this.showAddModal = true;
+        getImportValue(path) {
+            return this.getImportPathSegments(path).reduce(
+                (node, key) => (node !== null && typeof node === 'object' ? node[key] : undefined),
+                this.importValidation.data
+            );
         },
 
-        openEditModal(course) {
-            this.editingCourse = course;
-            this.newCourse = { ...course };
-            this.showAddModal = true;
+        setImportValue(problem, text) {
+            const segments = this.getImportPathSegments(problem.path);
+            const last = segments.pop();
+            const parent = segments.reduce((node, key) => node[key], this.importValidation.data);
+            const fix = this.getImportFix(problem);
+            parent[last] = fix && fix.kind === 'number' && text.trim() !== '' && Number.isFinite(Number(text))
+                ? Number(text)
+                : text.trim();
+            this.refreshImportValidation();
         },
 
-        saveCourse() {
-            // Validate required fields
+        isImportRowSkipped(key) {
+            return this.importValidation.skipped.includes(key);
+        },
+
+        toggleImportRowSkipped(key) {
+            const skipped = this.importValidation.skipped;
+            this.importValidation.skipped = skipped.includes(key)
+                ? skipped.filter(k => k !== key)
+                : [...skipped, key];
+            this.refreshImportValidation();
+        },
+
+        refreshImportValidation() {
+            const { data, skipped } = this.importValidation;
+            this.importValidation.problems = this.validateImportData(data, skipped);
+        },
+
+        getRemainingImportProblems() {
+            return this.importValidation.problems.filter(problem => !this.isImportRowSkipped(problem.row));
+        },
+
+        cancelImportValidation() {
+            this.showImportValidationModal = false;
+            this.importValidation = null;
+        },
+
+        // Leave skipped rows out and continue to the import preview
+        continueImportValidation() {
+            if (this.getRemainingImportProblems().length > 0) return;
+            const { data, skipped } = this.importValidation;
+            const keep = key => !skipped.includes(key);
+            const courses = data.courses.filter((_, index) => keep(`courses[${index}]`));
+            const keptIds = courses.map(course => course.id);
+            const cleaned = {
+                ...data,
+                courses,
+                // Assignments of skipped courses go with them
+                assignments: Object.fromEntries(Object.entries(data.assignments || {})
+                    .filter(([id]) => keep(`assignments.${id}`) && keptIds.includes(id))),
+                recognizedCredits: (data.recognizedCredits || []).filter((_, index) => keep(`recognizedCredits[${index}]`)),
+                catalogSync: keep('catalogSync') ? data.catalogSync : null
+            };
+            if (data.settings && keep('settings')) {
+                cleaned.settings = Object.fromEntries(Object.entries(data.settings).filter(([key]) => keep(`settings.${key}`)));
+            } else {
+                delete cleaned.settings;
+            }
+            this.showImportValidationModal = false;
+            this.importValidation = null;
+            this.openJSONImportPreview(cleaned);
+        },
+
+        // Show an imported file's changes before anything is replaced; replace is the default mode
+        openImportPreview(file) {
+            this.importPreview = {
+                ...file,
+                mode: 'replace',
+                excluded: [],
+                includeSettings: Boolean(file.settings)
+            };
+            this.showImportExportModal = false;
+            this.showImportPreviewModal = true;
+        },
+
+        cancelImportPreview() {
+            this.showImportPreviewModal = false;
+            this.importPreview = null;
+        },
+
+        setImportMode(mode) {
+            this.importPreview.mode = mode;
+            this.importPreview.excluded = [];
+        },
+
+        isImportRowIncluded(key) {
+            return !this.importPreview.excluded.includes(key);
+        },
+
+        toggleImportRow(key) {
+            const excluded = this.importPreview.excluded;
+            this.importPreview.excluded = excluded.includes(key)
+                ? excluded.filter(k => k !== key)
+                : [...excluded, key];
+        },
+
+        /**
+         * Fields that differ between a local course and its imported version. Merge only
+         * looks at catalog fields; empty values (null, '', false, []) count as equal.
+         *
+         * @returns {Array<string>} Changed field names
+         */
+        getImportChangedFields(local, imported, mode) {
+            const isEmpty = value => value === undefined || value === null || value === '' || value === false ||
+                (Array.isArray(value) && value.length === 0);
+            const ignored = ['removedFromCatalog', 'catalogModified', ...(mode === 'merge' ? ASSIGNMENT_FIELDS : [])];
+            const fields = [...new Set([...Object.keys(local), ...Object.keys(imported)])]
+                .filter(field => !ignored.includes(field));
+            return fields.filter(field => !(isEmpty(local[field]) && isEmpty(imported[field])) &&
+                JSON.stringify(local[field]) !== JSON.stringify(imported[field]));
+        },
+
+        /**
+         * Rows of the import preview for the chosen mode. Replace lists added, changed and
+         * removed courses; merge lists added courses and catalog changes; append only lists
+         * courses that are new to the plan. Each row has a key used to include or exclude it.
+         *
+         * @returns {{added: Array, changed: Array, removed: Array, settings: Array}}
+         */
+        getImportDiff() {
+            const diff = { added: [], changed: [], removed: [], settings: [] };
+            const preview = this.importPreview;
+            if (!preview) return diff;
+
+            const importedIds = new Set(preview.courses.map(c => c.id));
+            preview.courses.forEach(course => {
+                const local = this.getCourseById(course.id);
+                if (!local) {
+                    diff.added.push({ key: `added:${course.id}`, course });
+                    return;
+                }
+                if (preview.mode === 'append') return;
+                const fields = this.getImportChangedFields(local, course, preview.mode);
+                if (fields.length > 0) {
+                    diff.changed.push({ key: `changed:${course.id}`, course, local, fields });
+                }
+            });
+            if (preview.mode === 'replace') {
+                this.courses.filter(c => !importedIds.has(c.id)).forEach(course => {
+                    diff.removed.push({ key: `removed:${course.id}`, course });
+                });
+            }
+            if (preview.settings) {
+                diff.settings = Object.keys(preview.settings)
+                    .filter(key => JSON.stringify(preview.settings[key]) !== JSON.stringify(this.settings[key]));
+            }
+            return diff;
+        },
+
+        getImportSummary() {
+            const diff = this.getImportDiff();
+            return `${diff.added.length} ${this.t('import_added')} · ${diff.changed.length} ${this.t('import_changed')} · ` +
+                `${diff.removed.length} ${this.t('import_removed')}`;
+        },
+
+        // Course list that results from the preview's mode and included rows
+        buildImportedCourses() {
+            const { courses, mode } = this.importPreview;
+            const diff = this.getImportDiff();
+            const copy = course => JSON.parse(JSON.stringify(course));
+            const included = rows => new Set(rows.filter(row => this.isImportRowIncluded(row.key)).map(row => row.course.id));
+            const added = included(diff.added);
+            const changed = included(diff.changed);
+
+            if (mode === 'replace') {
+                const kept = diff.removed.filter(row => !this.isImportRowIncluded(row.key)).map(row => copy(row.course));
+                const result = courses
+                    .filter(course => this.getCourseById(course.id) || added.has(course.id))
+                    .map(course => {
+                        const local = this.getCourseById(course.id);
+                        return copy(local && !changed.has(course.id) ? local : course);
+                    });
+                return [...result, ...kept];
+            }
+
+            // Merge and append start from the local plan, so assignments stay as they are
+            const result = this.courses.map(copy);
+            courses.forEach(course => {
+                if (added.has(course.id)) {
+                    result.push(copy(course));
+                } else if (changed.has(course.id)) {
+                    const local = result.find(c => c.id === course.id);
+                    Object.assign(local, copy(splitAssignment(course).catalogFields));
+                    // Keep the shipped catalog from reverting the imported edits to EDITABLE_CATALOG_FIELDS
+                    if (this.catalogSync) {
+                        local.catalogModified = true;
+                    }
+                }
+            });
+            return result;
+        },
+
+        /**
+         * Commit the previewed import. Locks of the current plan are kept in every mode.
+         * Replace also takes the file's recognized credits and catalog state; merge and
+         * append add recognized-credit entries the plan does not have yet.
+         */
+        applyImportPreview() {
+            const preview = this.importPreview;
+            const importedCourses = this.buildImportedCourses();
+            const held = this.applyLocksToImport(importedCourses);
+
+            if (preview.mode === 'replace') {
+                // A full backup replaces the plan, so a locked plan may be overwritten
+                if (preview.source === 'json') {
+                    this.planLocked = false;
+                }
+                this.catalogSync = preview.catalogSync;
+                if (preview.recognizedCredits) {
+                    this.recognizedCredits = preview.recognizedCredits;
+                }
+            } else if (preview.recognizedCredits) {
+                const knownIds = new Set(this.recognizedCredits.map(entry => entry.id));
+                this.recognizedCredits = [
+                    ...this.recognizedCredits,
+                    ...preview.recognizedCredits.filter(entry => !knownIds.has(entry.id))
+                ];
+            }
+            this.courses = importedCourses;
+
+            if (preview.settings && preview.includeSettings) {
+                const lockedSemesters = this.settings.lockedSemesters || [];
+                this.settings = {
+                    ...this.settings,
+                    ...preview.settings
+                };
+                this.settings.lockedSemesters = [...new Set([...lockedSemesters, ...(preview.settings.lockedSemesters || [])])];
+                // Regenerate semester list based on imported settings
+                this.generateSemesterList();
+            }
+            this.ensureSettingsDefaults();
+
+            this.showImportPreviewModal = false;
+            this.importPreview = null;
+            this.invalidateCache();
+            this.saveToLocalStorage(this.t(`history_import_${preview.source}`));
+            this.announceStatus(this.t('import_successful'));
+            alert(this.t('import_successful') + (held > 0 ? `\n\n${held} ${this.t('import_locks_kept')}` : ''));
+        },
+
+        getEmptyCourse() {
+            return {
+                id: '',
+                code: '',
+                name: '',
+                type: 'Wajib',
+                credits: 0,
+                lecturer: '',
+                recommendedSemester: 1,
+                prerequisites: [],
+                corequisites: [],
+                alternativeGroup: null,
+                offeredIn: [],
+                assignedSemester: null,
+                status: null,
+                grade: null,
+                attempts: []
+            };
+        },
+
+        // Performance: Cached computed property
+        // Alternatives of an already planned course are hidden from the pool
+        get unassignedCourses() {
+            if (!this._cachedUnassigned || this._lastCoursesUpdate !== this.courses.length) {
+                this._cachedUnassigned = this.courses.filter(c => !c.assignedSemester && !this.getAssignedAlternative(c) && !this.getSubstitution(c));
+                this._lastCoursesUpdate = this.courses.length;
+            }
+            return this._cachedUnassigned;
+        },
+
+        // Performance: Cached computed property
+        get totalCreditsTaken() {
+            if (this._cachedTotal === null || this._lastTotalUpdate !== this.courses.length) {
+                this._cachedTotal = this.getCountedCourses()
+                    .reduce((sum, c) => sum + c.credits, 0) + this.getRecognizedCreditsTotal();
+                this._lastTotalUpdate = this.courses.length;
+            }
+            return this._cachedTotal;
+        },
+
+        /**
+         * Assigned courses that count toward credit totals. When several members
+         * of the same alternative group are assigned (e.g. from an older save),
+         * only the earliest one counts. Courses covered by recognized credits
+         * are left out; the recognized entry counts instead.
+         *
+         * @returns {Array<Object>} Assigned courses, one per alternative group
+         */
+        getCountedCourses() {
+            const seenGroups = new Set();
+            return this.courses
+                .filter(c => c.assignedSemester && !this.getSubstitution(c))
+                .sort((a, b) => this.getSemesterOrder(a.assignedSemester) - this.getSemesterOrder(b.assignedSemester))
+                .filter(c => {
+                    if (!c.alternativeGroup) return true;
+                    if (seenGroups.has(c.alternativeGroup)) return false;
+                    seenGroups.add(c.alternativeGroup);
+                    return true;
+                });
+        },
+
+        get progressPercentage() {
+            return Math.round((this.totalCreditsTaken / this.settings.targetCredits) * 100);
+        },
+
+        // Credits of passed courses plus recognized credits
+        get earnedCredits() {
+            return this.getCountedCourses()
+                .filter(c => c.status === 'passed')
+                .reduce((sum, c) => sum + c.credits, 0) + this.getRecognizedCreditsTotal();
+        },
+
+        // Credits of courses still planned or in progress
+        get plannedCredits() {
+            return this.totalCreditsTaken - this.earnedCredits;
+        },
+
+        get earnedPercentage() {
+            return Math.min(100, Math.round((this.earnedCredits / this.settings.targetCredits) * 100));
+        },
+
+        get plannedPercentage() {
+            return Math.min(100 - this.earnedPercentage, Math.round((this.plannedCredits / this.settings.targetCredits) * 100));
+        },
+
+        getCourseTypes() {
+            const types = ['Wajib', 'Pilihan', 'Lainnya'];
+            Object.keys(this.settings.creditRequirements || {}).forEach(type => {
+                if (!types.includes(type)) types.push(type);
+            });
+            this.courses.forEach(c => {
+                if (c.type && !types.includes(c.type)) types.push(c.type);
+            });
+            return types;
+        },
+
+        getCreditsByType() {
+            const credits = {};
+            this.getCourseTypes().forEach(type => { credits[type] = 0; });
+            this.getCountedCourses().forEach(c => {
+                credits[c.type] = (credits[c.type] || 0) + c.credits;
+            });
+            this.recognizedCredits.forEach(entry => {
+                const type = this.getRecognizedType(entry);
+                credits[type] = (credits[type] || 0) + entry.credits;
+            });
+            return credits;
+        },
+
+        /**
+         * Progress of each course type against settings.creditRequirements.
+         * Empty or missing limits mean the type has no rule in that direction.
+         *
+         * @returns {Array<{type: string, credits: number, min: ?number, max: ?number, shortBy: number, overBy: number, met: boolean}>}
+         */
+        getCreditRequirementStatus() {
+            const creditsByType = this.getCreditsByType();
+            const requirements = this.settings.creditRequirements || {};
+            return this.getCourseTypes().map(type => {
+                const rule = requirements[type] || {};
+                const min = Number.isFinite(rule.min) ? rule.min : null;
+                const max = Number.isFinite(rule.max) ? rule.max : null;
+                const credits = creditsByType[type] || 0;
+                const shortBy = min !== null ? Math.max(0, min - credits) : 0;
+                const overBy = max !== null ? Math.max(0, credits - max) : 0;
+                return { type, credits, min, max, shortBy, overBy, met: shortBy === 0 && overBy === 0 };
+            });
+        },
+
+        getRequirementSummaryText(status) {
+            const sks = this.t('sks');
+            if (status.shortBy > 0) {
+                return `${status.credits}/${status.min} ${sks} - ${this.t('short_by')} ${status.shortBy} ${sks}`;
+            }
+            if (status.overBy > 0) {
+                return `${status.credits}/${status.max} ${sks} - ${this.t('over_cap_by')} ${status.overBy} ${sks}`;
+            }
+            return `${status.credits} ${sks}`;
+        },
+
+        /**
+         * Degree audit: every graduation rule as a pass/fail check with itemized deficits.
+         *
+         * @returns {{ passed: boolean, checks: Array<{ id: string, passed: boolean, summary: string, deficits: string[] }> }}
+         */
+        getGraduationAudit() {
+            const sks = this.t('sks');
+            const checks = [];
+
+            const credits = this.getGraduationCredits();
+            const target = this.settings.targetCredits;
+            checks.push({
+                id: 'total_credits',
+                passed: credits >= target,
+                summary: `${this.t('audit_total_credits')}: ${credits}/${target} ${sks}`,
+                deficits: credits >= target ? [] : [`${this.t('short_by')} ${target - credits} ${sks}`]
+            });
+
+            const requirements = this.getCreditRequirementStatus().filter(status => status.min !== null);
+            const shortTypes = requirements.filter(status => status.shortBy > 0);
+            checks.push({
+                id: 'type_minimums',
+                passed: shortTypes.length === 0,
+                summary: this.t('audit_type_minimums'),
+                deficits: shortTypes.map(status => `${status.type}: ${this.getRequirementSummaryText(status)}`)
+            });
+
+            const missingRequired = this.courses.filter(c =>
+                c.type === 'Wajib' && !c.assignedSemester && !this.getAssignedAlternative(c) && !this.getSubstitution(c)
+            );
+            checks.push({
+                id: 'required_courses',
+                passed: missingRequired.length === 0,
+                summary: this.t('audit_required_courses'),
+                deficits: missingRequired.map(c => `${c.code} - ${c.name} (${c.credits} ${sks})`)
+            });
+
+            const overLimit = this.semesterList.filter(s => this.getSemesterCredits(s.id) > this.getSemesterMaxCredits(s.id));
+            checks.push({
+                id: 'semester_limits',
+                passed: overLimit.length === 0,
+                summary: this.t('audit_semester_limits'),
+                deficits: overLimit.map(s =>
+                    `${s.name}: ${this.getSemesterCredits(s.id)}/${this.getSemesterMaxCredits(s.id)} ${sks} ` +
+                    `(${this.t('exceeds_by')} ${this.getSemesterCredits(s.id) - this.getSemesterMaxCredits(s.id)})`
+                )
+            });
+
+            const orderIssues = [];
+            const offeringIssues = [];
+            this.semesterList.forEach(semester => {
+                this.getSemesterCourses(semester.id).forEach(course => {
+                    this.getRequisiteViolations(course).forEach(violation => {
+                        orderIssues.push(`${semester.name}: ${course.code} - ${this.getViolationText(violation)}`);
+                    });
+                    if (!this.isOfferedIn(course, semester.id)) {
+                        offeringIssues.push(`${semester.name}: ${course.code} - ${this.getOfferedInText(course)}`);
+                    }
+                });
+            });
+            checks.push({
+                id: 'ordering',
+                passed: orderIssues.length === 0,
+                summary: this.t('audit_ordering'),
+                deficits: orderIssues
+            });
+            checks.push({
+                id: 'offering_terms',
+                passed: offeringIssues.length === 0,
+                summary: this.t('audit_offering_terms'),
+                deficits: offeringIssues
+            });
+
+            return { passed: checks.every(check => check.passed), checks };
+        },
+
+        // Performance: Cached computed property. Settings are edited in place from the
+        // settings modal and translations load later, so both are checked as well
+        get graduationAudit() {
+            const key = `${this.courses.length}|${JSON.stringify(this.settings)}`;
+            if (this._cachedAudit === null || this._auditKey !== key || this._auditTranslations !== this.translations) {
+                this._cachedAudit = this.getGraduationAudit();
+                this._auditKey = key;
+                this._auditTranslations = this.translations;
+            }
+            return this._cachedAudit;
+        },
+
+        getRequirementProgress(status) {
+            if (!status.min) return 100;
+            return Math.min(100, Math.round((status.credits / status.min) * 100));
+        },
+
+        // Performance: Invalidate cache when courses change
+        invalidateCache() {
+            this._cachedUnassigned = null;
+            this._cachedTotal = null;
+            this._cachedAudit = null;
+            this._lastCoursesUpdate = 0;
+            this._lastTotalUpdate = 0;
+        },
+
+        openAddModal() {
+            this.editingCourse = null;
+            this.newCourse = this.getEmptyCourse();
+            this.showAddModal = true;
+        },
+
+        openEditModal(course) {
+            this.editingCourse = course;
+            this.newCourse = {
+                ...this.getEmptyCourse(),
+                ...course,
+                // Copy arrays so cancelling the modal leaves the original untouched
+                prerequisites: [...(course.prerequisites || [])],
+                corequisites: [...(course.corequisites || [])],
+                offeredIn: [...(course.offeredIn || [])]
+            };
+            this.showAddModal = true;
+        },
+
+        saveCourse() {
+            // Validate required fields
             if (!this.newCourse.code || !this.newCourse.name) {
                 this.announceError(this.t('error_required_fields'));
                 return;
@@ -725,11 +2715,21 @@ export function courseApp() {
                 return;
             }
 
+            this.newCourse.alternativeGroup = (this.newCourse.alternativeGroup || '').trim() || null;
+
+            // A course can never be its own prerequisite or corequisite
+            this.newCourse.prerequisites = (this.newCourse.prerequisites || []).filter(id => id !== this.newCourse.id);
+            this.newCourse.corequisites = (this.newCourse.corequisites || []).filter(id => id !== this.newCourse.id);
+
+            const historyLabel = `${this.t(this.editingCourse ? 'history_edit' : 'history_add')} ${this.newCourse.code}`;
+
             if (this.editingCourse) {
                 // Update existing course
                 const index = this.courses.findIndex(c => c.id === this.editingCourse.id);
                 if (index !== -1) {
-                    this.courses[index] = { ...this.newCourse };
+                    // Local edits to a catalog course are kept when the shipped catalog changes
+                    const fromCatalog = this.catalogSync && (this.catalogSync.knownIds || []).includes(this.newCourse.id);
+                    this.courses[index] = { ...this.newCourse, ...(fromCatalog ? { catalogModified: true } : {}) };
                 }
             } else {
                 // Add new course
@@ -739,7 +2739,7 @@ export function courseApp() {
             this.invalidateCache();
             this.announceStatus(this.t('course_saved'));
             this.closeModal();
-            this.saveToLocalStorage();
+            this.saveToLocalStorage(historyLabel);
         },
 
         deleteCourse(course) {
@@ -747,9 +2747,14 @@ export function courseApp() {
                 const index = this.courses.findIndex(c => c.id === course.id);
                 if (index !== -1) {
                     this.courses.splice(index, 1);
+                    // Drop references to the deleted course from other courses' requisites
+                    this.courses.forEach(c => {
+                        if (c.prerequisites) c.prerequisites = c.prerequisites.filter(id => id !== course.id);
+                        if (c.corequisites) c.corequisites = c.corequisites.filter(id => id !== course.id);
+                    });
                     this.invalidateCache();
                     this.announceStatus(this.t('course_deleted'));
-                    this.saveToLocalStorage();
+                    this.saveToLocalStorage(`${this.t('history_delete')} ${course.code}`);
                 }
             }
         },
@@ -762,8 +2767,29 @@ export function courseApp() {
 
         assignCourse(course, semester) {
             if (!semester) return;
+            if (this.isSemesterLocked(semester)) {
+                alert(this.t('semester_locked_alert'));
+                return;
+            }
+
+            // Only one member of an alternative group can be planned
+            const alternative = this.getAssignedAlternative(course);
+            if (alternative && this.isCourseLocked(alternative)) {
+                alert(`${this.t('course_locked_alert')}\n\n${alternative.code} - ${alternative.name}`);
+                return;
+            }
+            if (alternative) {
+                const confirmation = confirm(
+                    `${this.t('warning_alternative_assigned')}\n\n` +
+                    `${alternative.code} - ${alternative.name} (${this.getSemesterName(alternative.assignedSemester)})\n\n` +
+                    `${this.t('replace_alternative')}`
+                );
+                if (!confirmation) return;
+            }
 
-            const currentCredits = this.getSemesterCredits(semester);
+            // The replaced alternative no longer counts toward the target semester
+            const currentCredits = this.getSemesterCredits(semester) -
+                (alternative && alternative.assignedSemester === semester ? alternative.credits : 0);
             const maxCredits = this.getSemesterMaxCredits(semester);
             const newTotal = currentCredits + course.credits;
 
@@ -781,35 +2807,92 @@ export function courseApp() {
                 if (!confirmation) return;
             }
 
+            if (!this.isOfferedIn(course, semester)) {
+                const confirmation = confirm(
+                    `${this.t('warning_not_offered')}\n\n` +
+                    `${course.code}: ${this.getOfferedInText(course)}\n` +
+                    `Semester: ${this.getSemesterName(semester)} (${this.t('term_' + this.getSemesterTerm(semester))})\n\n` +
+                    `${this.t('proceed')}`
+                );
+                if (!confirmation) return;
+            }
+
+            const violations = this.getRequisiteViolations(course, semester);
+            if (violations.length > 0) {
+                const confirmation = confirm(
+                    `${this.t('warning_requisites')}\n\n` +
+                    `Semester: ${this.getSemesterName(semester)}\n` +
+                    violations.map(v => `- ${this.getViolationText(v)}`).join('\n') +
+                    `\n\n${this.t('proceed')}`
+                );
+                if (!confirmation) return;
+            }
+
+            if (alternative) {
+                alternative.assignedSemester = null;
+                alternative.status = null;
+            }
             course.assignedSemester = semester;
+            course.status = 'planned';
             this.invalidateCache();
-            this.saveToLocalStorage();
+            this.saveToLocalStorage(`${this.t('history_assign')} ${course.code}`);
         },
 
+        /**
+         * Place unassigned courses as close to their recommended semester as the rules allow.
+         * Courses are placed one at a time, prerequisites first. A course goes to its
+         * recommended semester when it fits the credit limit and its requisites; otherwise
+         * it spills to the nearest semester that does (later before earlier on ties).
+         * Spill-over only goes into an antara period when the course is recommended for one.
+         */
         autoMapCourses() {
             this.announceStatus(this.t('auto_mapping_courses'));
 
-            let mappedCount = 0;
-            const unassigned = this.courses.filter(c => !c.assignedSemester);
-
-            unassigned.forEach(course => {
-                // Skip if no recommended semester
-                if (!course.recommendedSemester) return;
+            const order = id => this.getSemesterOrder(String(id));
+            let pending = this.courses
+                .filter(c => !c.assignedSemester && c.recommendedSemester && !this.getSubstitution(c))
+                .sort((a, b) => order(a.recommendedSemester) - order(b.recommendedSemester));
+            const placed = [];
+            const moved = [];
+            const unplaced = [];
+
+            const waitsOnPending = course => [...(course.prerequisites || []), ...(course.corequisites || [])]
+                .some(id => id !== course.id && pending.some(c => c.id === id));
+
+            const place = course => {
+                // Only one member of an alternative group is planned
+                if (this.getAssignedAlternative(course)) return;
+
+                const result = this.findAutoMapSemester(course);
+                if (result.semester) {
+                    course.assignedSemester = result.semester;
+                    course.status = 'planned';
+                    placed.push(course);
+                    if (result.semester !== String(course.recommendedSemester)) {
+                        moved.push({ course, from: String(course.recommendedSemester), to: result.semester });
+                    }
+                } else {
+                    unplaced.push({ course, reason: result.reason });
+                }
+            };
 
-                // Map to recommended semester if it exists in semesterList
-                const recommendedSemester = String(course.recommendedSemester);
-                const semesterExists = this.semesterList.find(s => s.id === recommendedSemester);
+            while (pending.length > 0) {
+                const ready = pending.filter(c => !waitsOnPending(c));
+                // Requisite cycles: place the earliest pending course and let the rules decide
+                const batch = ready.length > 0 ? ready : [pending[0]];
+                pending = pending.filter(c => !batch.includes(c));
+                batch.forEach(place);
+            }
 
-                if (semesterExists) {
-                    course.assignedSemester = recommendedSemester;
-                    mappedCount++;
-                }
-            });
+            // An alternative placed later in the run makes an earlier failure irrelevant
+            const report = unplaced.filter(({ course }) => !this.getAssignedAlternative(course));
 
-            if (mappedCount > 0) {
+            if (placed.length > 0 || report.length > 0) {
                 this.invalidateCache();
-                this.saveToLocalStorage();
-                const message = `${mappedCount} ${this.t('courses_auto_mapped')}`;
+                if (placed.length > 0) {
+                    this.saveToLocalStorage(this.t('auto_map_courses'));
+                }
+                const message = this.getAutoMapReport(placed.length, moved, report);
                 this.announceStatus(message);
                 alert(`✓ ${message}`);
             } else {
@@ -817,15 +2900,970 @@ export function courseApp() {
             }
         },
 
+        /**
+         * Nearest semester to the recommended one where the course fits.
+         *
+         * @returns {{ semester: string|null, reason: string|null }} reason is
+         *   'no_semester', 'not_offered', 'locked', 'requisites' or 'credit_limit' when nothing fits
+         */
+        findAutoMapSemester(course) {
+            const recommended = String(course.recommendedSemester);
+            const start = this.getSemesterOrder(recommended);
+            if (start === -1) return { semester: null, reason: 'no_semester' };
+
+            const allowAntara = this.semesterList[start].type === 'antara' || (course.offeredIn || []).includes('antara');
+            const candidates = this.semesterList
+                .map((semester, index) => ({ semester, distance: Math.abs(index - start), later: index >= start }))
+                .filter(({ semester }) => allowAntara || semester.type !== 'antara')
+                .filter(({ semester }) => this.isOfferedIn(course, semester.id))
+                .sort((a, b) => a.distance - b.distance || b.later - a.later)
+                .map(({ semester }) => semester.id);
+            if (candidates.length === 0) return { semester: null, reason: 'not_offered' };
+            const unlocked = candidates.filter(semester => !this.isSemesterLocked(semester));
+            if (unlocked.length === 0) return { semester: null, reason: 'locked' };
+
+            let requisitesMet = false;
+            for (const semester of unlocked) {
+                if (this.getRequisiteViolations(course, semester).length > 0 || this.breaksDependents(course, semester)) {
+                    continue;
+                }
+                requisitesMet = true;
+                if (this.getSemesterCredits(semester) + course.credits <= this.getSemesterMaxCredits(semester)) {
+                    return { semester, reason: null };
+                }
+            }
+            return { semester: null, reason: requisitesMet ? 'credit_limit' : 'requisites' };
+        },
+
+        // Would placing the course in this semester put it after an assigned course that requires it?
+        breaksDependents(course, semester) {
+            const order = this.getSemesterOrder(semester);
+            return this.courses.some(c => {
+                if (!c.assignedSemester || c.id === course.id) return false;
+                const dependentOrder = this.getSemesterOrder(c.assignedSemester);
+                return ((c.prerequisites || []).includes(course.id) && order >= dependentOrder) ||
+                    ((c.corequisites || []).includes(course.id) && order > dependentOrder);
+            });
+        },
+
+        getAutoMapReport(placedCount, moved, unplaced) {
+            const lines = [`${placedCount} ${this.t('courses_auto_mapped')}`];
+            if (moved.length > 0) {
+                lines.push('', `${this.t('auto_map_moved')}:`);
+                moved.forEach(({ course, from, to }) => {
+                    lines.push(`- ${course.code}: ${this.getSemesterName(from)} → ${this.getSemesterName(to)}`);
+                });
+            }
+            if (unplaced.length > 0) {
+                lines.push('', `${this.t('auto_map_unplaced')}:`);
+                unplaced.forEach(({ course, reason }) => {
+                    lines.push(`- ${course.code} (${this.t('auto_map_reason_' + reason)})`);
+                });
+            }
+            return lines.join('\n');
+        },
+
+        // Credits that count toward graduation: capped at each type's maximum
+        getGraduationCredits() {
+            return this.getCreditRequirementStatus()
+                .reduce((sum, status) => sum + (status.max !== null ? Math.min(status.credits, status.max) : status.credits), 0);
+        },
+
+        // All required courses planned, the credit target reached and every category minimum met
+        isGraduationGoalMet() {
+            const requiredMissing = this.courses.some(c =>
+                c.type === 'Wajib' && !c.assignedSemester && !this.getAssignedAlternative(c) && !this.getSubstitution(c)
+            );
+            return !requiredMissing &&
+                this.getGraduationCredits() >= this.settings.targetCredits &&
+                this.getCreditRequirementStatus().every(status => status.shortBy === 0);
+        },
+
+        /**
+         * Earliest-graduation optimizer. Keeps current assignments and fills semesters
+         * (antara included) from the first one onward until the graduation goal is met,
+         * respecting credit limits, course ordering rules and alternative groups.
+         * Within a semester, required courses come first, then courses that unlock the
+         * most later courses. This greedy packing is not guaranteed to be optimal, but
+         * it never places a course against the rules.
+         *
+         * @param {Object<string, string>} [notBefore] - Course id to the semester the course
+         *   may only be placed after (a failed attempt that has to be retaken later)
+         * @returns {{ placements: Array<{courseId: string, semester: string}>, lastSemester: string|null, reachable: boolean }}
+         */
+        computeFastestPath(notBefore = {}) {
+            // The search places courses on copies, so the live plan (and everything rendered
+            // from it) is not touched; the copy reads settings and helpers from the component
+            const plan = Object.create(this);
+            plan.courses = this.courses.map(course => ({ ...course }));
+            plan.invalidateCache();
+
+            const placed = [];
+            const dependentCounts = new Map(plan.courses.map(c => [c.id, plan.countDependents(c)]));
+
+            for (const semester of plan.semesterList) {
+                if (plan.isSemesterLocked(semester.id)) continue;
+                let candidate;
+                do {
+                    if (plan.isGraduationGoalMet()) break;
+
+                    const statusByType = new Map(plan.getCreditRequirementStatus().map(s => [s.type, s]));
+                    const creditsShort = plan.getGraduationCredits() < plan.settings.targetCredits;
+                    // Required courses first, then electives of a category still short of its minimum
+                    const priority = course => {
+                        if (course.type === 'Wajib') return 0;
+                        const status = statusByType.get(course.type);
+                        return status && status.shortBy > 0 ? 1 : 2;
+                    };
+                    const stillUseful = course => {
+                        if (course.type === 'Wajib') return true;
+                        const status = statusByType.get(course.type);
+                        if (status && status.max !== null && status.credits >= status.max) return false;
+                        return creditsShort || (status && status.shortBy > 0);
+                    };
+
+                    candidate = plan.courses
+                        .filter(c => !c.assignedSemester && !plan.getAssignedAlternative(c) && !plan.getSubstitution(c) && stillUseful(c))
+                        .filter(c => plan.isOfferedIn(c, semester.id))
+                        .filter(c => !notBefore[c.id] || plan.getSemesterOrder(semester.id) > plan.getSemesterOrder(notBefore[c.id]))
+                        .filter(c => plan.getSemesterCredits(semester.id) + c.credits <= plan.getSemesterMaxCredits(semester.id))
+                        .filter(c => plan.getRequisiteViolations(c, semester.id).length === 0)
+                        .filter(c => !plan.breaksDependents(c, semester.id))
+                        .sort((a, b) =>
+                            priority(a) - priority(b) ||
+                            dependentCounts.get(b.id) - dependentCounts.get(a.id) ||
+                            plan.getSemesterOrder(String(a.recommendedSemester)) - plan.getSemesterOrder(String(b.recommendedSemester)) ||
+                            b.credits - a.credits
+                        )[0];
+                    if (candidate) {
+                        candidate.assignedSemester = semester.id;
+                        plan.invalidateCache();
+                        placed.push({ courseId: candidate.id, semester: semester.id });
+                    }
+                } while (candidate);
+            }
+
+            const used = plan.semesterList.filter(semester => plan.getSemesterCourses(semester.id).length > 0);
+            return {
+                placements: placed,
+                lastSemester: used.length > 0 ? used[used.length - 1].id : null,
+                reachable: plan.isGraduationGoalMet()
+            };
+        },
+
+        // Number of courses that directly or indirectly require this course
+        countDependents(course, seen = new Set()) {
+            this.courses.forEach(c => {
+                if (seen.has(c.id)) return;
+                if ((c.prerequisites || []).includes(course.id) || (c.corequisites || []).includes(course.id)) {
+                    seen.add(c.id);
+                    this.countDependents(c, seen);
+                }
+            });
+            return seen.size;
+        },
+
+        // Variance of credit load across regular semesters (antara periods are short by design)
+        getCreditVariance() {
+            const loads = this.semesterList
+                .filter(s => s.type === 'normal')
+                .map(s => this.getSemesterCredits(s.id));
+            if (loads.length === 0) return 0;
+            const mean = loads.reduce((sum, credits) => sum + credits, 0) / loads.length;
+            return loads.reduce((sum, credits) => sum + (credits - mean) ** 2, 0) / loads.length;
+        },
+
+        // Semesters of the same kind within settings.balanceTolerance of the recommended one
+        getBalanceWindow(course) {
+            const recommended = this.semesterList.find(s => s.id === String(course.recommendedSemester));
+            if (!recommended) return [];
+            const sameKind = this.semesterList.filter(s => s.type === recommended.type);
+            const at = sameKind.indexOf(recommended);
+            return sameKind
+                .map((semester, index) => ({ id: semester.id, distance: Math.abs(index - at) }))
+                .filter(({ distance }) => distance <= this.settings.balanceTolerance);
+        },
+
+        canPlaceCourse(course, semester) {
+            return !this.isSemesterLocked(semester) &&
+                this.isOfferedIn(course, semester) &&
+                this.getSemesterCredits(semester) + course.credits <= this.getSemesterMaxCredits(semester) &&
+                this.getRequisiteViolations(course, semester).length === 0 &&
+                !this.breaksDependents(course, semester);
+        },
+
+        /**
+         * Balanced workload planner. Spreads unassigned courses over the semesters within
+         * settings.balanceTolerance of their recommendation, filling the lightest semester
+         * first (heaviest courses first), then moves single courses inside their window
+         * while that lowers the credit variance. Courses with no room in their window fall
+         * back to the nearest valid semester, as in auto-map. Current assignments are kept.
+         *
+         * @returns {Object} Proposal with placements, outsideTolerance, unplaced and the resulting loads
+         */
+        computeBalancedPlan() {
+            const placed = [];
+            const outsideTolerance = [];
+            const unplaced = [];
+            const order = id => this.getSemesterOrder(String(id));
+            let pending = this.courses
+                .filter(c => !c.assignedSemester && c.recommendedSemester && !this.getSubstitution(c))
+                .sort((a, b) => order(a.recommendedSemester) - order(b.recommendedSemester));
+            const waitsOnPending = course => [...(course.prerequisites || []), ...(course.corequisites || [])]
+                .some(id => id !== course.id && pending.some(c => c.id === id));
+
+            try {
+                while (pending.length > 0) {
+                    const ready = pending.filter(c => !waitsOnPending(c));
+                    const batch = (ready.length > 0 ? ready : [pending[0]]).sort((a, b) => b.credits - a.credits);
+                    pending = pending.filter(c => !batch.includes(c));
+
+                    batch.forEach(course => {
+                        if (this.getAssignedAlternative(course)) return;
+
+                        const option = this.getBalanceWindow(course)
+                            .filter(({ id }) => this.canPlaceCourse(course, id))
+                            .sort((a, b) =>
+                                this.getSemesterCredits(a.id) - this.getSemesterCredits(b.id) ||
+                                a.distance - b.distance ||
+                                order(a.id) - order(b.id)
+                            )[0];
+                        if (option) {
+                            course.assignedSemester = option.id;
+                            placed.push(course);
+                            return;
+                        }
+
+                        const fallback = this.findAutoMapSemester(course);
+                        if (fallback.semester) {
+                            course.assignedSemester = fallback.semester;
+                            placed.push(course);
+                            outsideTolerance.push(course.id);
+                        } else {
+                            unplaced.push({ courseId: course.id, reason: fallback.reason });
+                        }
+                    });
+                }
+
+                // Local improvement: single moves inside the window that lower the variance
+                let improved = true;
+                for (let round = 0; improved && round < 20; round++) {
+                    improved = false;
+                    placed.forEach(course => {
+                        if (outsideTolerance.includes(course.id)) return;
+                        const current = course.assignedSemester;
+                        const variance = this.getCreditVariance();
+                        for (const { id } of this.getBalanceWindow(course)) {
+                            if (id === current) continue;
+                            course.assignedSemester = null;
+                            if (this.canPlaceCourse(course, id)) {
+                                course.assignedSemester = id;
+                                if (this.getCreditVariance() < variance - 1e-9) {
+                                    improved = true;
+                                    return;
+                                }
+                            }
+                            course.assignedSemester = current;
+                        }
+                    });
+                }
+
+                const loads = this.semesterList
+                    .filter(s => s.type === 'normal')
+                    .map(s => this.getSemesterCredits(s.id));
+                return {
+                    kind: 'balanced',
+                    placements: placed.map(c => ({ courseId: c.id, semester: c.assignedSemester })),
+                    outsideTolerance,
+                    unplaced: unplaced.filter(({ courseId }) => !this.getAssignedAlternative(this.getCourseById(courseId))),
+                    minCredits: Math.min(...loads),
+                    maxCredits: Math.max(...loads),
+                    variance: this.getCreditVariance()
+                };
+            } finally {
+                placed.forEach(course => {
+                    course.assignedSemester = null;
+                });
+                this.invalidateCache();
+            }
+        },
+
+        openFastestPath() {
+            this.planProposal = { kind: 'fastest', ...this.computeFastestPath() };
+            this.showProposalModal = true;
+            this.announceStatus(this.getProposalSummary());
+        },
+
+        openBalancedPlan() {
+            this.planProposal = this.computeBalancedPlan();
+            this.showProposalModal = true;
+            this.announceStatus(this.getProposalSummary());
+        },
+
+        getProposalTitle() {
+            return this.planProposal && this.planProposal.kind === 'balanced'
+                ? this.t('balanced_plan')
+                : this.t('fastest_path');
+        },
+
+        getProposalSummary() {
+            const proposal = this.planProposal;
+            if (!proposal) return '';
+            if (proposal.kind === 'balanced') {
+                return `${this.t('balanced_spread')}: ${proposal.minCredits}–${proposal.maxCredits} ${this.t('sks')} ` +
+                    `(${this.t('balanced_tolerance')}: ±${this.settings.balanceTolerance})`;
+            }
+            if (!proposal.reachable) return this.t('fastest_path_unreachable');
+            return `${this.t('fastest_path_graduate_after')} ${this.getSemesterName(proposal.lastSemester)}`;
+        },
+
+        // Courses placed outside the tolerance window or not placed at all
+        getProposalNotes() {
+            const proposal = this.planProposal;
+            if (!proposal) return [];
+            const codes = ids => ids.map(id => (this.getCourseById(id) || {}).code).filter(Boolean).join(', ');
+            const notes = [];
+            if (proposal.outsideTolerance && proposal.outsideTolerance.length > 0) {
+                notes.push(`${this.t('balanced_outside_tolerance')}: ${codes(proposal.outsideTolerance)}`);
+            }
+            (proposal.unplaced || []).forEach(({ courseId, reason }) => {
+                notes.push(`${this.t('auto_map_unplaced')}: ${codes([courseId])} (${this.t('auto_map_reason_' + reason)})`);
+            });
+            return notes;
+        },
+
+        // Semesters for the preview: current courses and the courses the proposal adds
+        getProposalDiff() {
+            const proposal = this.planProposal;
+            if (!proposal) return [];
+            return this.semesterList
+                .map(semester => {
+                    const current = this.getSemesterCourses(semester.id);
+                    const added = proposal.placements
+                        .filter(p => p.semester === semester.id)
+                        .map(p => this.getCourseById(p.courseId))
+                        .filter(Boolean);
+                    const credits = current.reduce((sum, c) => sum + c.credits, 0);
+                    const addedCredits = added.reduce((sum, c) => sum + c.credits, 0);
+                    return { semester, current, added, credits, newCredits: credits + addedCredits };
+                })
+                .filter(row => row.current.length > 0 || row.added.length > 0);
+        },
+
+        acceptProposal() {
+            const proposal = this.planProposal;
+            if (!proposal) return;
+
+            proposal.placements.forEach(({ courseId, semester }) => {
+                const course = this.getCourseById(courseId);
+                if (course && !course.assignedSemester) {
+                    course.assignedSemester = semester;
+                    course.status = 'planned';
+                }
+            });
+            this.invalidateCache();
+            this.saveToLocalStorage(this.getProposalTitle());
+            this.announceStatus(`${this.t('proposal_applied')}: ${proposal.placements.length}`);
+            this.discardProposal();
+        },
+
+        discardProposal() {
+            this.planProposal = null;
+            this.showProposalModal = false;
+        },
+
+        // Where the plan finishes: the fastest completion of the current plan, null if out of reach
+        getProjectedGraduation(notBefore) {
+            const path = this.computeFastestPath(notBefore);
+            return path.reachable ? path.lastSemester : null;
+        },
+
+        // Lowest grade on the scale, recorded for a simulated failure
+        getFailingGrade() {
+            const points = this.settings.gradePoints || defaultGradePoints();
+            return Object.keys(points).sort((a, b) => points[a] - points[b])[0] || null;
+        },
+
+        // Semester loads, ordering problems and projected graduation, compared by the what-if analysis
+        measureWhatIf(notBefore) {
+            return {
+                credits: new Map(this.semesterList.map(s => [s.id, {
+                    credits: this.getSemesterCredits(s.id),
+                    max: this.getSemesterMaxCredits(s.id)
+                }])),
+                violations: new Map(this.courses.map(c => [c.id, this.getRequisiteViolations(c).length])),
+                graduation: this.getProjectedGraduation(notBefore)
+            };
+        },
+
+        /**
+         * What-if analysis. Applies the change to the live plan, measures it and puts
+         * the course back as it was; nothing is saved. A simulated failure is retaken
+         * no earlier than the semester after the failed attempt.
+         *
+         * @param {Object} course - Assigned course
+         * @param {string} action - 'move' (to target) or 'fail'
+         * @param {string} [target] - Semester id for 'move'
+         * @param {Object} [before] - measureWhatIf() of the unchanged plan, when already known
+         * @returns {{ credits: Object, overLimit: string[], graduationBefore: ?string,
+         *   graduationAfter: ?string, brokenDependents: Object[] }} credits maps every
+         *   semester id to { before, after, maxBefore, maxAfter }
+         */
+        simulateWhatIf(course, action, target, before = this.measureWhatIf()) {
+            const saved = {
+                assignedSemester: course.assignedSemester,
+                status: course.status,
+                grade: course.grade,
+                attempts: course.attempts
+            };
+            let after;
+            try {
+                const notBefore = {};
+                if (action === 'fail') {
+                    course.attempts = [...(course.attempts || []),
+                        { semester: course.assignedSemester, status: 'failed', grade: this.getFailingGrade() }];
+                    notBefore[course.id] = course.assignedSemester;
+                    course.assignedSemester = null;
+                    course.status = null;
+                    course.grade = null;
+                } else {
+                    course.assignedSemester = target;
+                }
+                this.invalidateCache();
+                after = this.measureWhatIf(notBefore);
+            } finally {
+                Object.assign(course, saved);
+                this.invalidateCache();
+            }
+
+            const credits = {};
+            this.semesterList.forEach(s => {
+                const b = before.credits.get(s.id);
+                const a = after.credits.get(s.id);
+                credits[s.id] = { before: b.credits, after: a.credits, maxBefore: b.max, maxAfter: a.max };
+            });
+            return {
+                credits,
+                overLimit: this.semesterList
+                    .filter(s => credits[s.id].after > credits[s.id].maxAfter && credits[s.id].before <= credits[s.id].maxBefore)
+                    .map(s => s.id),
+                graduationBefore: before.graduation,
+                graduationAfter: after.graduation,
+                brokenDependents: this.courses
+                    .filter(c => c.id !== course.id && c.assignedSemester &&
+                        after.violations.get(c.id) > before.violations.get(c.id))
+            };
+        },
+
+        openWhatIf(course) {
+            const index = this.getSemesterOrder(course.assignedSemester);
+            const next = this.semesterList.slice(index + 1).find(s => !this.isSemesterLocked(s.id));
+            this.whatIf = {
+                courseId: course.id,
+                action: next ? 'move' : 'fail',
+                target: next ? next.id : course.assignedSemester,
+                // Saving a change closes the panel, so the unchanged plan is measured once
+                before: this.measureWhatIf(),
+                impact: null
+            };
+            this.updateWhatIf();
+        },
+
+        updateWhatIf() {
+            const course = this.whatIf && this.getCourseById(this.whatIf.courseId);
+            if (!course || !course.assignedSemester) {
+                this.whatIf = null;
+                return;
+            }
+            this.whatIf.impact = this.simulateWhatIf(course, this.whatIf.action, this.whatIf.target, this.whatIf.before);
+            this.announceStatus(this.getWhatIfSummary());
+        },
+
+        closeWhatIf() {
+            this.whatIf = null;
+        },
+
+        // Commit the previewed change through the regular actions (with their checks and history)
+        applyWhatIf() {
+            const course = this.whatIf && this.getCourseById(this.whatIf.courseId);
+            if (!course) return;
+            if (this.isCourseLocked(course)) {
+                alert(this.t('course_locked_alert'));
+                return;
+            }
+            const { action, target } = this.whatIf;
+            this.whatIf = null;
+            if (action === 'fail') {
+                this.setCourseStatus(course, 'failed');
+            } else {
+                this.assignCourse(course, target);
+            }
+        },
+
+        getWhatIfCourse() {
+            return this.whatIf ? this.getCourseById(this.whatIf.courseId) : null;
+        },
+
+        getWhatIfSummary() {
+            const impact = this.whatIf && this.whatIf.impact;
+            if (!impact) return '';
+            const name = id => (id ? this.getSemesterName(id) : this.t('what_if_unreachable'));
+            if (impact.graduationBefore === impact.graduationAfter) {
+                return `${this.t('what_if_graduation_unchanged')}: ${name(impact.graduationAfter)}`;
+            }
+            return `${this.t('what_if_graduation_changes')}: ${name(impact.graduationBefore)} → ${name(impact.graduationAfter)}`;
+        },
+
+        // Credits of a semester before and after the previewed change, or null when it does not change
+        getWhatIfCredits(semester) {
+            const impact = this.whatIf && this.whatIf.impact;
+            if (!impact || !impact.credits[semester]) return null;
+            const credits = impact.credits[semester];
+            if (credits.before === credits.after && credits.maxBefore === credits.maxAfter) return null;
+            return credits;
+        },
+
+        getCourseById(id) {
+            return this.courses.find(c => c.id === id);
+        },
+
+        // Other members of the course's alternative group
+        getAlternatives(course) {
+            if (!course.alternativeGroup) return [];
+            return this.courses.filter(c => c.id !== course.id && c.alternativeGroup === course.alternativeGroup);
+        },
+
+        getAssignedAlternative(course) {
+            return this.getAlternatives(course).find(c => c.assignedSemester) || null;
+        },
+
+        // Recognized-credit entry that stands in for the course or one of its alternatives
+        getSubstitution(course) {
+            const ids = [course.id, ...this.getAlternatives(course).map(c => c.id)];
+            return this.recognizedCredits.find(entry => entry.substitutesCourseId && ids.includes(entry.substitutesCourseId)) || null;
+        },
+
+        // A substitution counts toward the substituted course's type, even if that changes later
+        getRecognizedType(entry) {
+            const course = entry.substitutesCourseId ? this.getCourseById(entry.substitutesCourseId) : null;
+            return course ? course.type : entry.type;
+        },
+
+        getRecognizedCreditsTotal() {
+            return this.recognizedCredits.reduce((sum, entry) => sum + entry.credits, 0);
+        },
+
+        getSemesterRecognized(semester) {
+            return this.recognizedCredits.filter(entry => entry.semester === semester);
+        },
+
+        // Semester a course is (or will be) completed in: its assignment, else the semester of its substitution
+        getCompletionSemester(course) {
+            if (course.assignedSemester) return course.assignedSemester;
+            const substitution = this.getSubstitution(course);
+            return substitution ? substitution.semester : null;
+        },
+
+        getAlternativeGroups() {
+            return [...new Set(this.courses.map(c => c.alternativeGroup).filter(Boolean))];
+        },
+
+        // Position of a semester in the chronological plan (antara included), -1 if unknown
+        getSemesterOrder(semesterId) {
+            return this.semesterList.findIndex(s => s.id === semesterId);
+        },
+
+        /**
+         * Check a course's prerequisites and corequisites against a semester.
+         * Prerequisites must be planned in an earlier semester, corequisites in
+         * the same or an earlier one. References to deleted courses are ignored.
+         *
+         * @param {Object} course - Course to check
+         * @param {string} [semester] - Semester to check against (defaults to the assigned one)
+         * @returns {Array<{type: string, course: Object}>} Broken rules
+         */
+        getRequisiteViolations(course, semester = course.assignedSemester) {
+            if (!semester) return [];
+            const order = this.getSemesterOrder(semester);
+            const violations = [];
+
+            (course.prerequisites || []).forEach(id => {
+                const required = this.getCourseById(id);
+                if (!required) return;
+                const requiredOrder = this.getSemesterOrder(this.getCompletionSemester(required));
+                if (requiredOrder === -1 || requiredOrder >= order) {
+                    violations.push({ type: 'prerequisite', course: required });
+                }
+            });
+
+            (course.corequisites || []).forEach(id => {
+                const required = this.getCourseById(id);
+                if (!required) return;
+                const requiredOrder = this.getSemesterOrder(this.getCompletionSemester(required));
+                if (requiredOrder === -1 || requiredOrder > order) {
+                    violations.push({ type: 'corequisite', course: required });
+                }
+            });
+
+            return violations;
+        },
+
+        getViolationText(violation) {
+            const label = violation.type === 'prerequisite'
+                ? this.t('prerequisite_not_before')
+                : this.t('corequisite_not_with');
+            return `${label}: ${violation.course.code} - ${violation.course.name}`;
+        },
+
+        getSemesterViolationCount(semester) {
+            return this.getSemesterCourses(semester)
+                .reduce((sum, c) => sum + this.getRequisiteViolations(c).length +
+                    (this.getAssignedAlternative(c) ? 1 : 0) +
+                    (this.isOfferedIn(c, semester) ? 0 : 1), 0);
+        },
+
+        // 'odd' / 'even' for regular semesters (ganjil / genap), 'antara' for short terms
+        getSemesterTerm(semesterId) {
+            const semester = this.semesterList.find(s => s.id === semesterId);
+            return semester ? semester.term : null;
+        },
+
+        isOfferedIn(course, semesterId) {
+            const terms = course.offeredIn || [];
+            return terms.length === 0 || terms.includes(this.getSemesterTerm(semesterId));
+        },
+
+        getOfferedInText(course) {
+            const terms = course.offeredIn || [];
+            if (terms.length === 0) return this.t('offered_all_terms');
+            return `${this.t('offered_in')}: ${terms.map(term => this.t('term_' + term)).join(', ')}`;
+        },
+
+        // Codes of the given course ids, for compact display on course cards
+        getRequisiteCodes(ids) {
+            return (ids || [])
+                .map(id => this.getCourseById(id))
+                .filter(Boolean)
+                .map(c => c.code)
+                .join(', ');
+        },
+
         getSemesterName(semesterId) {
             const semester = this.semesterList.find(s => s.id === semesterId);
             return semester ? semester.name : semesterId;
         },
 
+        // Approximate date range of a calendar period, e.g. "Sep 2025 – Jan 2026"; empty without a start year
+        getSemesterDates(semester) {
+            if (!semester || !semester.start) return '';
+            const format = (date) => {
+                const [year, month] = date.split('-').map(Number);
+                return new Date(year, month - 1, 1)
+                    .toLocaleDateString(this.language, { month: 'short', year: 'numeric' });
+            };
+            return `${format(semester.start)} – ${format(semester.end)}`;
+        },
+
         unassignCourse(course) {
+            if (this.isCourseLocked(course)) {
+                alert(this.t('course_locked_alert'));
+                return;
+            }
             course.assignedSemester = null;
+            course.status = null;
+            course.grade = null;
             this.invalidateCache();
-            this.saveToLocalStorage();
+            this.saveToLocalStorage(`${this.t('history_unassign')} ${course.code}`);
+        },
+
+        // Return every unlocked course of a semester to the pool
+        unassignSemester(semester) {
+            if (this.isSemesterLocked(semester)) {
+                alert(this.t('semester_locked_alert'));
+                return;
+            }
+            const courses = this.getSemesterCourses(semester).filter(c => !c.locked);
+            const lockedCount = this.getSemesterCourses(semester).length - courses.length;
+            if (courses.length === 0) return;
+            const message = `${this.t('confirm_clear_semester')} ${this.getSemesterName(semester)}?` +
+                (lockedCount > 0 ? `\n\n${lockedCount} ${this.t('locked_courses_stay')}` : '');
+            if (!confirm(message)) return;
+
+            courses.forEach(course => {
+                course.assignedSemester = null;
+                course.status = null;
+                course.grade = null;
+            });
+            this.invalidateCache();
+            this.saveToLocalStorage(`${this.t('history_clear_semester')} ${this.getSemesterName(semester)}`);
+            this.announceStatus(`${courses.length} ${this.t('courses_returned_to_pool')}`);
+        },
+
+        // Locked courses and every course in a locked semester stay where they are
+        isCourseLocked(course) {
+            return Boolean(course.assignedSemester) &&
+                (Boolean(course.locked) || this.isSemesterLocked(course.assignedSemester));
+        },
+
+        isSemesterLocked(semester) {
+            return (this.settings.lockedSemesters || []).includes(semester);
+        },
+
+        toggleCourseLock(course) {
+            if (!course.assignedSemester) return;
+            course.locked = !course.locked;
+            const label = course.locked ? 'history_lock' : 'history_unlock';
+            this.saveToLocalStorage(`${this.t(label)} ${course.code}`);
+            this.announceStatus(`${course.code}: ${this.t(course.locked ? 'course_locked' : 'course_unlocked')}`);
+        },
+
+        toggleSemesterLock(semester) {
+            const locked = this.isSemesterLocked(semester);
+            this.settings.lockedSemesters = locked
+                ? this.settings.lockedSemesters.filter(id => id !== semester)
+                : [...this.settings.lockedSemesters, semester];
+            const label = locked ? 'history_unlock' : 'history_lock';
+            this.saveToLocalStorage(`${this.t(label)} ${this.getSemesterName(semester)}`);
+            this.announceStatus(`${this.getSemesterName(semester)}: ${this.t(locked ? 'semester_unlocked' : 'semester_locked')}`);
+        },
+
+        /**
+         * Keep locks in force when a file replaces the course list: locked courses keep
+         * their current assignment (and are kept when the file lacks them), and imported
+         * courses are not placed into a locked semester.
+         *
+         * @param {Array} importedCourses - Courses about to replace this.courses; changed in place
+         * @returns {number} Courses whose imported assignment was overridden
+         */
+        applyLocksToImport(importedCourses) {
+            let held = 0;
+            importedCourses.forEach(course => {
+                const current = this.getCourseById(course.id);
+                if (current && this.isCourseLocked(current)) return;
+                if (course.assignedSemester && this.isSemesterLocked(course.assignedSemester)) {
+                    course.assignedSemester = null;
+                    course.status = null;
+                    course.grade = null;
+                    course.locked = false;
+                    held++;
+                }
+            });
+
+            this.courses.filter(c => this.isCourseLocked(c)).forEach(current => {
+                const assignment = JSON.parse(JSON.stringify(splitAssignment(current).assignment));
+                const imported = importedCourses.find(c => c.id === current.id);
+                if (!imported) {
+                    importedCourses.push(JSON.parse(JSON.stringify(current)));
+                    held++;
+                } else if (ASSIGNMENT_FIELDS.some(field => JSON.stringify(imported[field]) !== JSON.stringify(assignment[field]))) {
+                    Object.assign(imported, assignment);
+                    held++;
+                }
+            });
+            return held;
+        },
+
+        getEmptyRecognized() {
+            return { source: '', credits: 0, substitutesCourseId: '', type: 'Pilihan', semester: '1' };
+        },
+
+        /**
+         * Record credits recognized from another institution or program (transfer, RPL, MBKM).
+         * An entry either substitutes a catalog course, which then leaves the pool, or counts
+         * toward a course type on its own. A substituted course that is still planned
+         * somewhere returns to the pool.
+         */
+        addRecognizedCredit() {
+            const form = this.newRecognized;
+            const credits = Number(form.credits);
+            const semester = this.semesterList.find(s => s.id === form.semester);
+            if (!form.source.trim() || !Number.isFinite(credits) || credits <= 0 || !semester) {
+                alert(this.t('recognized_invalid'));
+                return;
+            }
+
+            const substituted = form.substitutesCourseId ? this.getCourseById(form.substitutesCourseId) : null;
+            if (substituted && this.getSubstitution(substituted)) {
+                alert(`${this.t('recognized_already_substituted')}\n\n${substituted.code} - ${substituted.name}`);
+                return;
+            }
+            const planned = substituted ? [substituted, ...this.getAlternatives(substituted)].filter(c => c.assignedSemester) : [];
+            const locked = planned.find(c => this.isCourseLocked(c));
+            if (locked) {
+                alert(`${this.t('course_locked_alert')}\n\n${locked.code} - ${locked.name}`);
+                return;
+            }
+
+            this.recognizedCredits.push({
+                id: `rc-${Date.now()}`,
+                source: form.source.trim(),
+                credits,
+                type: substituted ? substituted.type : form.type,
+                substitutesCourseId: substituted ? substituted.id : null,
+                semester: semester.id
+            });
+            planned.forEach(course => {
+                course.assignedSemester = null;
+                course.status = null;
+                course.grade = null;
+            });
+            this.newRecognized = this.getEmptyRecognized();
+            this.invalidateCache();
+            this.saveToLocalStorage(`${this.t('history_add_recognized')} ${form.source.trim()}`);
+            this.announceStatus(`${this.t('recognized_added')}: ${credits} ${this.t('sks')}`);
+        },
+
+        removeRecognizedCredit(entry) {
+            this.recognizedCredits = this.recognizedCredits.filter(e => e.id !== entry.id);
+            this.invalidateCache();
+            this.saveToLocalStorage(`${this.t('history_remove_recognized')} ${entry.source}`);
+            this.announceStatus(this.t('recognized_removed'));
+        },
+
+        // Label of an entry: the substituted course, or the course type it counts toward
+        getRecognizedLabel(entry) {
+            const course = entry.substitutesCourseId ? this.getCourseById(entry.substitutesCourseId) : null;
+            return course ? `${course.code} - ${course.name}` : entry.type;
+        },
+
+        /**
+         * Change the status of an assigned course. Failed and withdrawn attempts
+         * are kept in course.attempts and the course returns to the pool so it
+         * can be planned again.
+         *
+         * @param {Object} course - Assigned course
+         * @param {string} status - One of courseStatuses
+         */
+        setCourseStatus(course, status) {
+            if (!course.assignedSemester || !this.courseStatuses.includes(status)) return;
+
+            if (status === 'failed' || status === 'withdrawn') {
+                if (this.isCourseLocked(course) &&
+                    !confirm(`${this.t('confirm_status_locked')}\n\n${course.code} - ${course.name}`)) {
+                    return;
+                }
+                course.attempts = [...(course.attempts || []), { semester: course.assignedSemester, status, grade: course.grade || null }];
+                course.assignedSemester = null;
+                course.status = null;
+                course.grade = null;
+                course.locked = false;
+                this.announceStatus(`${course.code}: ${this.t('status_' + status)}. ${this.t('returned_to_pool')}`);
+            } else {
+                course.status = status;
+                // Grades belong to completed courses only
+                if (status !== 'passed') course.grade = null;
+                this.announceStatus(`${course.code}: ${this.t('status_' + status)}`);
+            }
+
+            this.invalidateCache();
+            this.saveToLocalStorage(`${this.t('history_status')} ${course.code}`);
+        },
+
+        // Failed or withdrawn attempts recorded in a semester
+        getSemesterAttempts(semester) {
+            const attempts = [];
+            this.courses.forEach(course => {
+                (course.attempts || []).forEach((attempt, index) => {
+                    if (attempt.semester === semester) {
+                        attempts.push({ course, attempt, index });
+                    }
+                });
+            });
+            return attempts;
+        },
+
+        removeAttempt(course, index) {
+            course.attempts = (course.attempts || []).filter((_, i) => i !== index);
+            this.invalidateCache();
+            this.saveToLocalStorage(`${this.t('remove_attempt')} ${course.code}`);
+        },
+
+        getLastAttempt(course) {
+            const attempts = course.attempts || [];
+            return attempts.length > 0 ? attempts[attempts.length - 1] : null;
+        },
+
+        getGradeLetters() {
+            return Object.keys(this.settings.gradePoints || defaultGradePoints());
+        },
+
+        getGradePoint(grade) {
+            const points = (this.settings.gradePoints || {})[grade];
+            return Number.isFinite(points) ? points : null;
+        },
+
+        setCourseGrade(course, grade) {
+            course.grade = grade || null;
+            // Grades set the IPS-based credit limits checked by the audit
+            this.invalidateCache();
+            this.saveToLocalStorage(`${this.t('history_grade')} ${course.code}`);
+        },
+
+        setAttemptGrade(course, index, grade) {
+            course.attempts = (course.attempts || []).map((attempt, i) =>
+                i === index ? { ...attempt, grade: grade || null } : attempt
+            );
+            this.invalidateCache();
+            this.saveToLocalStorage(`${this.t('history_grade')} ${course.code}`);
+        },
+
+        // Weighted grade-point average; entries without a known grade are skipped
+        calculateGpa(entries) {
+            let credits = 0;
+            let points = 0;
+            entries.forEach(({ credits: entryCredits, grade }) => {
+                const point = this.getGradePoint(grade);
+                if (point === null) return;
+                credits += entryCredits;
+                points += entryCredits * point;
+            });
+            return credits > 0 ? points / credits : null;
+        },
+
+        /**
+         * Semester GPA (IPS): graded courses of the semester, failed attempts included.
+         *
+         * @param {string} semester - Semester id
+         * @returns {?number} IPS, or null when nothing is graded yet
+         */
+        getSemesterGpa(semester) {
+            const entries = this.getSemesterCourses(semester)
+                .map(c => ({ credits: c.credits, grade: c.grade }));
+            this.getSemesterAttempts(semester).forEach(({ course, attempt }) => {
+                entries.push({ credits: course.credits, grade: attempt.grade });
+            });
+            return this.calculateGpa(entries);
+        },
+
+        /**
+         * Cumulative GPA (IPK). A retaken course counts once, with its most
+         * recent grade: the current assignment first, then the latest attempt.
+         *
+         * @returns {?number} IPK, or null when nothing is graded yet
+         */
+        get cumulativeGpa() {
+            const entries = [];
+            this.courses.forEach(course => {
+                let grade = course.assignedSemester ? course.grade : null;
+                if (this.getGradePoint(grade) === null) {
+                    const graded = (course.attempts || []).filter(a => this.getGradePoint(a.grade) !== null);
+                    grade = graded.length > 0 ? graded[graded.length - 1].grade : null;
+                }
+                if (grade) entries.push({ credits: course.credits, grade });
+            });
+            return this.calculateGpa(entries);
+        },
+
+        formatGpa(gpa) {
+            return gpa === null ? '-' : gpa.toFixed(2);
+        },
+
+        getStatusClass(status) {
+            if (status === 'passed') return 'border-l-4 border-green-500 dark:border-green-400';
+            if (status === 'in_progress') return 'border-l-4 border-yellow-500 dark:border-yellow-400';
+            if (status === 'failed') return 'border-l-4 border-red-500 dark:border-red-400 opacity-70';
+            if (status === 'withdrawn') return 'border-l-4 border-gray-400 dark:border-gray-500 opacity-70';
+            return 'border-l-4 border-blue-300 dark:border-blue-700';
         },
 
         getSemesterCourses(semester) {
@@ -838,7 +3876,76 @@ export function courseApp() {
         },
 
         getSemesterMaxCredits(semester) {
-            return this.settings.semesterMaxCredits[semester] || 24;
+            return this.getSemesterCreditLimit(semester).maxCredits;
+        },
+
+        /**
+         * Credit limit of a semester and where it comes from. With IPS rules enabled a
+         * regular semester after the first takes its limit from the previous regular
+         * semester's IPS (recorded grades, else settings.creditLimitRules.projectedIps);
+         * everything else uses the fixed limit in settings.semesterMaxCredits.
+         *
+         * @param {string} semester - Semester id
+         * @returns {{maxCredits: number, source: string, previous?: string, ips?: number, rule?: Object}}
+         *   source is 'fixed', 'first', 'antara', 'no_ips', 'recorded' or 'projected'
+         */
+        getSemesterCreditLimit(semester) {
+            const fixed = this.settings.semesterMaxCredits[semester] || 24;
+            const config = this.settings.creditLimitRules;
+            if (!config || !config.enabled || !config.rules || config.rules.length === 0) {
+                return { maxCredits: fixed, source: 'fixed' };
+            }
+
+            const regular = this.semesterList.filter(s => s.type === 'normal');
+            const index = regular.findIndex(s => s.id === semester);
+            if (index === -1) return { maxCredits: fixed, source: 'antara' };
+            if (index === 0) return { maxCredits: fixed, source: 'first' };
+
+            const previous = regular[index - 1].id;
+            let ips = this.getSemesterGpa(previous);
+            let source = 'recorded';
+            if (ips === null) {
+                if (!Number.isFinite(config.projectedIps)) {
+                    return { maxCredits: fixed, source: 'no_ips', previous };
+                }
+                ips = config.projectedIps;
+                source = 'projected';
+            }
+
+            const rule = [...config.rules]
+                .filter(r => Number.isFinite(r.minIps) && Number.isFinite(r.maxCredits))
+                .sort((a, b) => b.minIps - a.minIps)
+                .find(r => ips >= r.minIps - 1e-9);
+            if (!rule) return { maxCredits: fixed, source: 'no_ips', previous };
+            return { maxCredits: rule.maxCredits, source, previous, ips, rule };
+        },
+
+        // Why a semester's credit limit is what it is, for the semester card
+        getCreditLimitReason(semester) {
+            const limit = this.getSemesterCreditLimit(semester);
+            const sks = `${limit.maxCredits} ${this.t('sks')}`;
+            switch (limit.source) {
+                case 'recorded':
+                case 'projected':
+                    return `${this.t(limit.source === 'recorded' ? 'limit_reason_recorded' : 'limit_reason_projected')} ` +
+                        `${this.getSemesterName(limit.previous)}: ${this.formatGpa(limit.ips)} ≥ ${limit.rule.minIps.toFixed(2)} → ${sks}`;
+                case 'no_ips':
+                    return `${this.t('limit_reason_no_ips')} ${this.getSemesterName(limit.previous)}: ${sks}`;
+                case 'first':
+                    return `${this.t('limit_reason_first')}: ${sks}`;
+                case 'antara':
+                    return `${this.t('limit_reason_antara')}: ${sks}`;
+                default:
+                    return `${this.t('limit_reason_fixed')}: ${sks}`;
+            }
+        },
+
+        addCreditLimitRule() {
+            this.settings.creditLimitRules.rules.push({ minIps: 0, maxCredits: 18 });
+        },
+
+        removeCreditLimitRule(index) {
+            this.settings.creditLimitRules.rules.splice(index, 1);
         },
 
         getCreditClass(semester) {
@@ -0,0 +1,102 @@
+// Validator for the subset of JSON Schema (draft 2020-12) used by data/plan.schema.json:
+// type, enum, minimum, maximum, minLength, pattern, required, properties,
+// additionalProperties, items and local $ref ("#/$defs/...").
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function childPath(path, key) {
+    return typeof key === 'number' ? `${path}[${key}]` : (path ? `${path}.${key}` : key);
+}
+
+function resolveRef(root, ref) {
+    if (!ref.startsWith('#/')) {
+        throw new Error(`Unsupported $ref: ${ref}`);
+    }
+    return ref.slice(2).split('/').reduce((node, key) => node[key], root);
+}
+
+/**
+ * Validate a value against a schema.
+ *
+ * @param {Object} schema - Root schema
+ * @param {*} value - Data to check
+ * @returns {Array<{path: string, keyword: string, params: Object}>} Problems; paths look like "courses[12].credits"
+ */
+export function validateSchema(schema, value) {
+    const problems = [];
+    const resolve = node => (node && node.$ref ? resolve(resolveRef(schema, node.$ref)) : node);
+
+    const visit = (node, data, path) => {
+        if (node.$ref) {
+            visit(resolve(node), data, path);
+            return;
+        }
+
+        if (node.type) {
+            const types = Array.isArray(node.type) ? node.type : [node.type];
+            if (!types.some(type => matchesType(data, type))) {
+                problems.push({ path, keyword: 'type', params: { type: types } });
+                return;
+            }
+        }
+        if (node.enum && !node.enum.some(option => option === data)) {
+            problems.push({ path, keyword: 'enum', params: { values: node.enum.filter(option => option !== null) } });
+            return;
+        }
+
+        if (typeof data === 'number') {
+            const min = node.minimum;
+            const max = node.maximum;
+            if ((min !== undefined && data < min) || (max !== undefined && data > max)) {
+                const keyword = min !== undefined && max !== undefined ? 'range' : (min !== undefined ? 'minimum' : 'maximum');
+                problems.push({ path, keyword, params: { min, max } });
+            }
+        }
+
+        if (typeof data === 'string') {
+            if (node.minLength !== undefined && data.length < node.minLength) {
+                problems.push({ path, keyword: 'minLength', params: { min: node.minLength } });
+            } else if (node.pattern && !new RegExp(node.pattern).test(data)) {
+                problems.push({ path, keyword: 'pattern', params: { pattern: node.pattern } });
+            }
+        }
+
+        if (Array.isArray(data) && node.items) {
+            data.forEach((item, index) => visit(node.items, item, childPath(path, index)));
+        }
+
+        if (typeOf(data) === 'object') {
+            (node.required || []).forEach(key => {
+                if (!(key in data)) {
+                    // The expected type lets a form offer the right input for the missing value
+                    const property = resolve(node.properties && node.properties[key]);
+                    const type = property && property.type ? [].concat(property.type) : [];
+                    problems.push({ path: childPath(path, key), keyword: 'required', params: { type } });
+                }
+            });
+            Object.keys(data).forEach(key => {
+                const property = node.properties && node.properties[key];
+                if (property) {
+                    visit(property, data[key], childPath(path, key));
+                } else if (node.additionalProperties === false) {
+                    problems.push({ path: childPath(path, key), keyword: 'additionalProperties', params: {} });
+                } else if (node.additionalProperties) {
+                    visit(node.additionalProperties, data[key], childPath(path, key));
+                }
+            });
+        }
+    };
+
+    visit(schema, value, '');
+    return problems;
+}
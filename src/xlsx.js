@@ -0,0 +1,195 @@
+// Minimal .xlsx (Office Open XML spreadsheet) reader and writer, enough to exchange
+// plain tables with Excel, LibreOffice and Google Sheets. Everything runs in the browser.
+import { strToU8, strFromU8, unzipSync, zipSync } from 'fflate';
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const MAIN_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        // Control characters other than tab and line breaks are not allowed in XML
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+// 0 -> A, 25 -> Z, 26 -> AA
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+function columnIndex(name) {
+    return name.split('').reduce((index, char) => index * 26 + char.charCodeAt(0) - 64, 0) - 1;
+}
+
+// Sheet names are at most 31 characters, unique and free of : \ / ? * [ ]
+function sheetNames(sheets) {
+    const used = new Set();
+    return sheets.map((sheet, i) => {
+        const base = (String(sheet.name || '').replace(/[:\\/?*[\]]/g, '-').trim() || `Sheet${i + 1}`).slice(0, 31);
+        let name = base;
+        for (let n = 2; used.has(name.toLowerCase()); n++) {
+            name = `${base.slice(0, 31 - String(n).length - 1)} ${n}`;
+        }
+        used.add(name.toLowerCase());
+        return name;
+    });
+}
+
+function sheetXml(rows) {
+    const body = rows.map((row, r) => {
+        const cells = row.map((value, c) => {
+            if (value === null || value === undefined || value === '') return '';
+            const ref = `${columnName(c)}${r + 1}`;
+            // The first row is the header and uses the bold style
+            const style = r === 0 ? ' s="1"' : '';
+            if (typeof value === 'number' && Number.isFinite(value)) {
+                return `<c r="${ref}"${style}><v>${value}</v></c>`;
+            }
+            return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+        }).join('');
+        return `<row r="${r + 1}">${cells}</row>`;
+    }).join('');
+    return `${XML_HEADER}<worksheet xmlns="${MAIN_NS}"><sheetData>${body}</sheetData></worksheet>`;
+}
+
+/**
+ * Build an .xlsx file. Numbers are written as numeric cells, everything else as text;
+ * the first row of each sheet is bold.
+ *
+ * @param {Array<{name: string, rows: Array<Array<*>>}>} sheets - Sheets in tab order
+ * @returns {Uint8Array} File contents
+ */
+export function writeXlsx(sheets) {
+    const names = sheetNames(sheets);
+    const files = {
+        '[Content_Types].xml': XML_HEADER +
+            '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+            '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+            '<Default Extension="xml" ContentType="application/xml"/>' +
+            '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+            '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+            sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+            '</Types>',
+        '_rels/.rels': XML_HEADER +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            `<Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/>` +
+            '</Relationships>',
+        'xl/workbook.xml': XML_HEADER +
+            `<workbook xmlns="${MAIN_NS}" xmlns:r="${REL_NS}"><sheets>` +
+            names.map((name, i) => `<sheet name="${escapeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('') +
+            '</sheets></workbook>',
+        'xl/_rels/workbook.xml.rels': XML_HEADER +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="${REL_NS}/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('') +
+            `<Relationship Id="rId${sheets.length + 1}" Type="${REL_NS}/styles" Target="styles.xml"/>` +
+            '</Relationships>',
+        'xl/styles.xml': XML_HEADER +
+            `<styleSheet xmlns="${MAIN_NS}">` +
+            '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+            '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+            '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+            '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+            '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+            '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+            '</styleSheet>'
+    };
+    sheets.forEach((sheet, i) => {
+        files[`xl/worksheets/sheet${i + 1}.xml`] = sheetXml(sheet.rows);
+    });
+
+    const zipped = {};
+    Object.entries(files).forEach(([path, xml]) => { zipped[path] = strToU8(xml); });
+    return zipSync(zipped);
+}
+
+function parseXml(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('Invalid spreadsheet XML');
+    }
+    return doc;
+}
+
+// Elements by local name, whatever namespace prefix the writing application used
+function elements(parent, name) {
+    return Array.from(parent.getElementsByTagName('*')).filter(el => el.localName === name);
+}
+
+// Text of a shared or inline string, rich-text runs included (phonetic hints skipped)
+function stringText(node) {
+    return elements(node, 't')
+        .filter(t => !(t.parentNode && t.parentNode.localName === 'rPh'))
+        .map(t => t.textContent)
+        .join('');
+}
+
+// Resolve a relationship target against the folder of the part that refers to it
+function resolvePath(base, target) {
+    if (target.startsWith('/')) return target.slice(1);
+    const parts = base.split('/').slice(0, -1);
+    target.split('/').forEach(part => {
+        if (part === '..') parts.pop();
+        else if (part !== '.') parts.push(part);
+    });
+    return parts.join('/');
+}
+
+/**
+ * Read the sheets of an .xlsx file as tables of strings. Numbers keep their stored
+ * text, booleans become "TRUE"/"FALSE" and formulas give their cached result.
+ *
+ * @param {ArrayBuffer|Uint8Array} data - File contents
+ * @returns {Array<{name: string, rows: Array<Array<string>>}>} Sheets in tab order
+ */
+export function readXlsx(data) {
+    const files = unzipSync(data instanceof Uint8Array ? data : new Uint8Array(data));
+    const read = path => (files[path] ? strFromU8(files[path]) : null);
+
+    const workbookXml = read('xl/workbook.xml');
+    if (!workbookXml) {
+        throw new Error('Not an .xlsx workbook');
+    }
+    const workbook = parseXml(workbookXml);
+    const rels = parseXml(read('xl/_rels/workbook.xml.rels') || '<Relationships/>');
+    const targets = {};
+    elements(rels, 'Relationship').forEach(rel => {
+        targets[rel.getAttribute('Id')] = resolvePath('xl/workbook.xml', rel.getAttribute('Target'));
+    });
+
+    const sharedXml = read('xl/sharedStrings.xml');
+    const shared = sharedXml ? elements(parseXml(sharedXml), 'si').map(stringText) : [];
+
+    return elements(workbook, 'sheet').map(sheet => {
+        const id = sheet.getAttribute('r:id') ||
+            Array.from(sheet.attributes).find(attr => attr.localName === 'id')?.value;
+        const xml = read(targets[id] || '');
+        const rows = [];
+        if (xml) {
+            elements(parseXml(xml), 'row').forEach((row, rowIndex) => {
+                const r = row.getAttribute('r') ? Number(row.getAttribute('r')) - 1 : rowIndex;
+                const values = [];
+                elements(row, 'c').forEach(cell => {
+                    const ref = cell.getAttribute('r');
+                    const c = ref ? columnIndex(ref.replace(/\d+/g, '')) : values.length;
+                    const type = cell.getAttribute('t');
+                    const v = elements(cell, 'v')[0];
+                    let value = v ? v.textContent : '';
+                    if (type === 's') value = shared[Number(value)] ?? '';
+                    else if (type === 'inlineStr') value = stringText(cell);
+                    else if (type === 'b') value = value === '1' ? 'TRUE' : 'FALSE';
+                    values[c] = value;
+                });
+                rows[r] = Array.from(values, value => value ?? '');
+            });
+        }
+        return { name: sheet.getAttribute('name'), rows: Array.from(rows, row => row || []) };
+    });
+}
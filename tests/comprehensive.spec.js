@@ -1,8 +1,11 @@
 import { test, expect } from '@playwright/test';
+import { unzipSync, strFromU8 } from 'fflate';
 import {
   waitForAlpineInit,
   waitForCourseDataLoaded,
   waitForAutoMapComplete,
+  evaluateInApp,
+  getActivePlanData,
   collectWebVitals,
   testFixtures,
 } from './test-utils.js';
@@ -66,6 +69,20 @@ async function getResponsiveButtonTestId(page, buttonType) {
   return testIds[buttonType];
 }
 
+/**
+ * Reload the page with localStorage as it is now. The beforeEach init script empties
+ * localStorage on every load; this registers a later one that puts the entries back.
+ * @param {Page} page - Playwright page object
+ */
+async function reloadKeepingStorage(page) {
+  const entries = await page.evaluate(() => ({ ...localStorage }));
+  await page.addInitScript((saved) => {
+    localStorage.clear();
+    Object.entries(saved).forEach(([key, value]) => localStorage.setItem(key, value));
+  }, entries);
+  await page.reload();
+}
+
 // ============================================================================
 // OPTIMIZED SETUP
 // ============================================================================
@@ -702,11 +719,8 @@ test.describe('Course-Logs - Comprehensive Test Suite', () => {
       await saveBtn.click();
       await page.waitForTimeout(500);
 
-      // Check localStorage has data - app uses 'lectureStudyPlan' key
-      const savedData = await page.evaluate(() => {
-        const data = localStorage.getItem('lectureStudyPlan');
-        return data ? JSON.parse(data) : null;
-      });
+      // Check localStorage has data for the active plan
+      const savedData = await getActivePlanData(page);
 
       expect(savedData).not.toBeNull();
       expect(savedData).toHaveProperty('courses');
@@ -721,28 +735,23 @@ test.describe('Course-Logs - Comprehensive Test Suite', () => {
       await page.waitForTimeout(500);
 
       // Verify data was saved
-      const savedData = await page.evaluate(() => {
-        const data = localStorage.getItem('lectureStudyPlan');
-        return data ? JSON.parse(data) : null;
-      });
+      const savedData = await getActivePlanData(page);
       expect(savedData).not.toBeNull();
       expect(savedData).toHaveProperty('courses');
       expect(savedData).toHaveProperty('settings');
 
       // Verify data persists by checking it's still there after a moment
       await page.waitForTimeout(1000);
-      const savedDataStillThere = await page.evaluate(() => {
-        const data = localStorage.getItem('lectureStudyPlan');
-        return data ? JSON.parse(data) : null;
-      });
+      const savedDataStillThere = await getActivePlanData(page);
       expect(savedDataStillThere).not.toBeNull();
       expect(savedDataStillThere).toEqual(savedData);
     });
 
     test('should handle corrupted localStorage data gracefully', async ({ page }) => {
-      // Set invalid data with the actual key the app uses
+      // Set invalid data under the active plan's key
       await page.evaluate(() => {
-        localStorage.setItem('lectureStudyPlan', 'invalid json {{{');
+        const index = JSON.parse(localStorage.getItem('lectureStudyPlans'));
+        localStorage.setItem(`lectureStudyPlan:${index.activePlanId}`, 'invalid json {{{');
       });
 
       // Reload page - should not crash
@@ -767,9 +776,7 @@ test.describe('Course-Logs - Comprehensive Test Suite', () => {
       await page.waitForTimeout(500);
 
       // Verify data was saved
-      let savedData = await page.evaluate(() => {
-        return localStorage.getItem('lectureStudyPlan');
-      });
+      let savedData = await getActivePlanData(page);
       expect(savedData).not.toBeNull();
 
       // Clear localStorage
@@ -778,19 +785,15 @@ test.describe('Course-Logs - Comprehensive Test Suite', () => {
       });
 
       // Verify localStorage is now empty
-      savedData = await page.evaluate(() => {
-        return localStorage.getItem('lectureStudyPlan');
-      });
+      savedData = await getActivePlanData(page);
       expect(savedData).toBeNull();
 
       // Reload page - should load with empty state
       await page.reload();
       await page.waitForLoadState('networkidle');
 
-      // Verify localStorage is still empty after reload
-      savedData = await page.evaluate(() => {
-        return localStorage.getItem('lectureStudyPlan');
-      });
+      // Verify the plan has no saved data after reload
+      savedData = await getActivePlanData(page);
       expect(savedData).toBeNull();
     });
   });
@@ -1084,4 +1087,1743 @@ test.describe('Course-Logs - Comprehensive Test Suite', () => {
       expect(metrics).toHaveProperty('firstContentfulPaint');
     });
   }); // Close Test Analytics describe block
+
+  // ========================================================================
+  // SECTION 14: PREREQUISITES & COREQUISITES
+  // ========================================================================
+
+  test.describe('Prerequisites & Corequisites', () => {
+
+    test('should reject placement before a prerequisite when not confirmed', async ({ page }) => {
+      page.once('dialog', dialog => dialog.dismiss());
+
+      const assigned = await evaluateInApp(page, (app) => {
+        const oop = app.courses.find(c => c.code === 'SIF005');
+        app.assignCourse(oop, '2');
+        return oop.assignedSemester;
+      });
+
+      expect(assigned).toBeNull();
+    });
+
+    test('should flag violations on semester cards', async ({ page }) => {
+      page.once('dialog', dialog => dialog.accept());
+
+      await evaluateInApp(page, (app) => {
+        const oop = app.courses.find(c => c.code === 'SIF005');
+        app.assignCourse(oop, '2');
+      });
+
+      await expect(page.getByTestId('requisite-violation-badge').first()).toBeVisible();
+      await expect(page.getByText(/Prerequisite not planned in an earlier semester: SIF001/)).toBeVisible();
+    });
+
+    test('should keep auto-mapped placements free of ordering violations', async ({ page }) => {
+      page.on('dialog', dialog => dialog.accept());
+
+      const violations = await evaluateInApp(page, (app) => {
+        app.autoMapCourses();
+        return app.courses
+          .filter(c => c.assignedSemester)
+          .reduce((sum, c) => sum + app.getRequisiteViolations(c).length, 0);
+      });
+
+      expect(violations).toBe(0);
+    });
+  });
+
+  // ========================================================================
+  // SECTION 15: ALTERNATIVE COURSE GROUPS
+  // ========================================================================
+
+  test.describe('Alternative Course Groups', () => {
+
+    test('should auto-map only one member of each alternative group', async ({ page }) => {
+      page.on('dialog', dialog => dialog.accept());
+
+      const result = await evaluateInApp(page, (app) => {
+        app.autoMapCourses();
+        const aik = app.courses.filter(c => c.alternativeGroup === 'AIK-1');
+        return {
+          assigned: aik.filter(c => c.assignedSemester).length,
+          inPool: app.unassignedCourses.filter(c => c.alternativeGroup === 'AIK-1').length,
+        };
+      });
+
+      expect(result.assigned).toBe(1);
+      expect(result.inPool).toBe(0);
+    });
+
+    test('should count an alternative group once in total credits', async ({ page }) => {
+      const totals = await evaluateInApp(page, (app) => {
+        app.courses.filter(c => c.alternativeGroup === 'AIK-1').forEach(c => { c.assignedSemester = '1'; });
+        app.invalidateCache();
+        return { total: app.totalCreditsTaken, semester: app.getSemesterCredits('1') };
+      });
+
+      expect(totals.total).toBe(2);
+      expect(totals.semester).toBe(4);
+    });
+
+    test('should swap alternatives when the other member is assigned', async ({ page }) => {
+      page.on('dialog', dialog => dialog.accept());
+
+      const result = await evaluateInApp(page, (app) => {
+        const [first, second] = app.courses.filter(c => c.alternativeGroup === 'AIK-1');
+        app.assignCourse(first, '1');
+        app.assignCourse(second, '1');
+        return { first: first.assignedSemester, second: second.assignedSemester };
+      });
+
+      expect(result.first).toBeNull();
+      expect(result.second).toBe('1');
+    });
+  });
+
+  // ========================================================================
+  // SECTION 16: CREDIT REQUIREMENTS BY TYPE
+  // ========================================================================
+
+  test.describe('Credit Requirements by Type', () => {
+
+    test('should show a breakdown per course type in statistics', async ({ page }) => {
+      const breakdown = page.getByTestId('credits-by-type');
+      await expect(breakdown).toBeVisible();
+      await expect(breakdown.getByText('Wajib', { exact: true })).toBeVisible();
+      await expect(breakdown.getByText('Pilihan', { exact: true })).toBeVisible();
+      await expect(breakdown.getByText('Lainnya', { exact: true })).toBeVisible();
+    });
+
+    test('should report which category is short and by how much', async ({ page }) => {
+      await evaluateInApp(page, (app) => {
+        app.courses.filter(c => c.type === 'Wajib' && !c.alternativeGroup).slice(0, 3).forEach(c => { c.assignedSemester = '1'; });
+        app.invalidateCache();
+        app.showValidationSummary = true;
+      });
+
+      const summary = page.getByTestId('requirement-summary');
+      await expect(summary).toContainText(/Wajib/);
+      await expect(summary).toContainText(/7\/126 credits - short by 119 credits/);
+      await expect(summary).toContainText(/Pilihan/);
+      await expect(summary).toContainText(/short by 10 credits/);
+    });
+
+    test('should flag credits over a category cap', async ({ page }) => {
+      const status = await evaluateInApp(page, (app) => {
+        app.settings.creditRequirements['Lainnya'].max = 1;
+        app.courses.filter(c => c.type === 'Lainnya').forEach(c => { c.assignedSemester = '6'; });
+        app.invalidateCache();
+        return app.getCreditRequirementStatus().find(s => s.type === 'Lainnya');
+      });
+
+      expect(status.met).toBe(false);
+      expect(status.overBy).toBe(2);
+    });
+
+    test('should store a cleared limit as no limit', async ({ page }) => {
+      await evaluateInApp(page, (app) => { app.showSettingsModal = true; });
+      const minInput = page.locator('#requirement-min-Wajib');
+      await minInput.fill('');
+      await minInput.press('Tab');
+
+      const result = await evaluateInApp(page, (app) => {
+        const data = JSON.parse(JSON.stringify(app.serializePlan()));
+        return {
+          min: app.settings.creditRequirements['Wajib'].min,
+          problems: app.validateImportData(data, []).map(problem => problem.path)
+        };
+      });
+
+      expect(result.min).toBeNull();
+      expect(result.problems).toEqual([]);
+    });
+  });
+
+  // ========================================================================
+  // SECTION 17: COURSE STATUS LIFECYCLE
+  // ========================================================================
+
+  test.describe('Course Status Lifecycle', () => {
+
+    test('should split credits into earned and planned', async ({ page }) => {
+      const credits = await evaluateInApp(page, (app) => {
+        const [passed, planned] = app.courses.filter(c => !c.alternativeGroup);
+        app.assignCourse(passed, '1');
+        app.assignCourse(planned, '1');
+        app.setCourseStatus(passed, 'passed');
+        return { earned: app.earnedCredits, planned: app.plannedCredits, total: app.totalCreditsTaken };
+      });
+
+      expect(credits.earned).toBeGreaterThan(0);
+      expect(credits.planned).toBeGreaterThan(0);
+      expect(credits.earned + credits.planned).toBe(credits.total);
+      await expect(page.getByTestId('earned-planned-credits')).toContainText(`Earned: ${credits.earned}`);
+    });
+
+    test('should return a failed course to the pool and keep the attempt', async ({ page }) => {
+      const result = await evaluateInApp(page, (app) => {
+        const course = app.courses.find(c => c.code === 'KUE001');
+        app.assignCourse(course, '1');
+        app.setCourseStatus(course, 'failed');
+        return {
+          assigned: course.assignedSemester,
+          inPool: app.unassignedCourses.some(c => c.id === course.id),
+          attempts: app.getSemesterAttempts('1').length,
+        };
+      });
+
+      expect(result.assigned).toBeNull();
+      expect(result.inPool).toBe(true);
+      expect(result.attempts).toBe(1);
+      await expect(page.locator('[data-status="failed"]').first()).toBeVisible();
+    });
+  });
+
+  // ========================================================================
+  // SECTION 18: GRADES & GPA (IPS / IPK)
+  // ========================================================================
+
+  test.describe('Grades & GPA', () => {
+
+    test('should calculate IPS and IPK from recorded grades', async ({ page }) => {
+      const gpa = await evaluateInApp(page, (app) => {
+        const grades = { KUE001: 'A', KUI001: 'B', SIF001: 'C' };
+        Object.entries(grades).forEach(([code, grade]) => {
+          const course = app.courses.find(c => c.code === code);
+          app.assignCourse(course, '1');
+          app.setCourseStatus(course, 'passed');
+          app.setCourseGrade(course, grade);
+        });
+        return { ips: app.formatGpa(app.getSemesterGpa('1')), ipk: app.formatGpa(app.cumulativeGpa) };
+      });
+
+      // (2 x 4.0 + 2 x 3.0 + 3 x 2.0) / 7
+      expect(gpa.ips).toBe('2.86');
+      expect(gpa.ipk).toBe('2.86');
+      await expect(page.getByTestId('cumulative-gpa')).toHaveText('2.86');
+      await expect(page.getByTestId('semester-gpa').first()).toContainText('2.86');
+    });
+
+    test('should use the configured grade-to-point table', async ({ page }) => {
+      const ipk = await evaluateInApp(page, (app) => {
+        app.settings.gradePoints['AB'] = 3.75;
+        const course = app.courses.find(c => c.code === 'KUE001');
+        app.assignCourse(course, '1');
+        app.setCourseStatus(course, 'passed');
+        app.setCourseGrade(course, 'AB');
+        return app.formatGpa(app.cumulativeGpa);
+      });
+
+      expect(ipk).toBe('3.75');
+    });
+
+    test('should carry grades in the CSV export', async ({ page }) => {
+      await evaluateInApp(page, (app) => {
+        const course = app.courses.find(c => c.code === 'KUE001');
+        app.assignCourse(course, '1');
+        app.setCourseStatus(course, 'passed');
+        app.setCourseGrade(course, 'A');
+      });
+
+      const downloadPromise = page.waitForEvent('download');
+      await evaluateInApp(page, (app) => app.exportToCSV());
+      const download = await downloadPromise;
+      const stream = await download.createReadStream();
+      let csv = '';
+      for await (const chunk of stream) csv += chunk;
+
+      expect(csv.split('\n')[0]).toContain('Grade');
+      expect(csv).toContain('"KUE001"');
+      expect(csv).toMatch(/"passed","A"/);
+    });
+  });
+
+  // ========================================================================
+  // SECTION 19: NAMED STUDY PLANS
+  // ========================================================================
+
+  test.describe('Named Study Plans', () => {
+
+    test('should start with a single default plan', async ({ page }) => {
+      await expect(page.getByTestId('plan-select').locator('option')).toHaveCount(1);
+      await expect(page.getByTestId('plan-select')).toContainText('My Plan');
+      await expect(page.getByTestId('plan-delete-btn')).toBeDisabled();
+    });
+
+    test('should create a plan and switch between plans', async ({ page }) => {
+      page.on('dialog', dialog => dialog.accept('Plan B'));
+      await page.getByTestId('plan-new-btn').click();
+      await expect(page.getByTestId('plan-select').locator('option')).toHaveCount(2);
+
+      // Assign a course in Plan B only
+      await evaluateInApp(page, (app) => {
+        app.assignCourse(app.courses.find(c => c.code === 'KUE001'), '1');
+      });
+
+      const plans = await evaluateInApp(page, (app) => app.plans.map(p => p.id));
+      const assignedIn = await evaluateInApp(page, async (app, ids) => {
+        const result = {};
+        for (const id of ids) {
+          await app.switchPlan(id);
+          result[app.activePlanName] = app.courses.find(c => c.code === 'KUE001').assignedSemester;
+        }
+        return result;
+      }, plans);
+
+      expect(assignedIn['My Plan']).toBeNull();
+      expect(assignedIn['Plan B']).toBe('1');
+    });
+
+    test('should duplicate the current plan with its assignments', async ({ page }) => {
+      await evaluateInApp(page, (app) => {
+        app.assignCourse(app.courses.find(c => c.code === 'KUE001'), '2');
+      });
+      page.on('dialog', dialog => dialog.accept());
+      await page.getByTestId('plan-duplicate-btn').click();
+
+      await expect(page.getByTestId('plan-select').locator('option')).toHaveCount(2);
+      const copy = await evaluateInApp(page, (app) => ({
+        name: app.activePlanName,
+        semester: app.courses.find(c => c.code === 'KUE001').assignedSemester
+      }));
+      expect(copy.name).toBe('My Plan (copy)');
+      expect(copy.semester).toBe('2');
+    });
+
+    test('should rename and delete plans', async ({ page }) => {
+      page.on('dialog', dialog => dialog.accept(dialog.type() === 'prompt' ? 'Renamed Plan' : undefined));
+      await page.getByTestId('plan-new-btn').click();
+      await page.getByTestId('plan-rename-btn').click();
+      await expect(page.getByTestId('plan-select')).toContainText('Renamed Plan');
+
+      await page.getByTestId('plan-delete-btn').click();
+      await expect(page.getByTestId('plan-select').locator('option')).toHaveCount(1);
+      await expect(page.getByTestId('plan-select')).not.toContainText('Renamed Plan');
+    });
+
+    test('should move data saved under the old single-plan key into a plan', async ({ page }) => {
+      await page.evaluate(() => {
+        localStorage.clear();
+        localStorage.setItem('lectureStudyPlan', JSON.stringify({
+          settings: { totalSemesters: 8, maxCredits: 24, minCredits: 18, semesterMaxCredits: {} },
+          courses: [{ id: 'old-1', code: 'OLD001', name: 'Legacy Course', type: 'Wajib', credits: 3, assignedSemester: '1' }]
+        }));
+      });
+      await reloadKeepingStorage(page);
+      await page.waitForLoadState('networkidle');
+
+      const saved = await getActivePlanData(page);
+      expect(saved.courses[0].code).toBe('OLD001');
+      expect(await page.evaluate(() => localStorage.getItem('lectureStudyPlan'))).toBeNull();
+    });
+  });
+
+  // ========================================================================
+  // SECTION 20: SCHEMA VERSIONING & MIGRATIONS
+  // ========================================================================
+
+  test.describe('Schema Versioning', () => {
+
+    test('should store the schema version with saved data', async ({ page }) => {
+      const testId = await getResponsiveButtonTestId(page, 'save');
+      await page.getByTestId(testId).click();
+
+      const saved = await getActivePlanData(page);
+      expect(saved.version).toBe(4);
+    });
+
+    test('should upgrade unversioned saves on load', async ({ page }) => {
+      await page.evaluate(() => {
+        const index = JSON.parse(localStorage.getItem('lectureStudyPlans'));
+        localStorage.setItem(`lectureStudyPlan:${index.activePlanId}`, JSON.stringify({
+          settings: { maxCredits: 24, minCredits: 18 },
+          courses: [{ id: 'old-1', code: 'OLD001', name: 'Legacy Course', type: 'Wajib', credits: 3, assignedSemester: '1' }]
+        }));
+      });
+      await reloadKeepingStorage(page);
+      await page.waitForLoadState('networkidle');
+
+      const course = await evaluateInApp(page, (app) => ({
+        totalSemesters: app.settings.totalSemesters,
+        course: app.courses[0]
+      }));
+      expect(course.totalSemesters).toBe(8);
+      expect(course.course.prerequisites).toEqual([]);
+      expect(course.course.status).toBe('planned');
+    });
+
+    test('should refuse data from a newer version without overwriting it', async ({ page }) => {
+      const future = JSON.stringify({ version: 999, settings: {}, courses: [] });
+      await page.evaluate((data) => {
+        const index = JSON.parse(localStorage.getItem('lectureStudyPlans'));
+        localStorage.setItem(`lectureStudyPlan:${index.activePlanId}`, data);
+      }, future);
+
+      const messages = [];
+      page.on('dialog', dialog => {
+        messages.push(dialog.message());
+        dialog.accept();
+      });
+      await reloadKeepingStorage(page);
+      await page.waitForLoadState('networkidle');
+      expect(messages.join(' ')).toContain('newer version');
+
+      await evaluateInApp(page, (app) => {
+        app.assignCourse(app.courses.find(c => c.code === 'KUE001'), '1');
+      });
+      const stored = await page.evaluate(() => {
+        const index = JSON.parse(localStorage.getItem('lectureStudyPlans'));
+        return localStorage.getItem(`lectureStudyPlan:${index.activePlanId}`);
+      });
+      expect(stored).toBe(future);
+    });
+
+    test('should reject imports from a newer version', async ({ page }) => {
+      const error = await evaluateInApp(page, (app) => {
+        try {
+          app.migrateData({ version: 999, courses: [] });
+          return null;
+        } catch (e) {
+          return e.message;
+        }
+      });
+      expect(error).toContain('newer version');
+    });
+  });
+
+  // ========================================================================
+  // SECTION 21: CATALOG / PLAN SEPARATION
+  // ========================================================================
+
+  test.describe('Catalog Updates', () => {
+
+    // Serve a modified copy of the shipped catalog on the next load
+    async function routeCatalog(page, modify) {
+      await page.route('**/data/courses.json', async (route) => {
+        const response = await route.fetch();
+        const catalog = await response.json();
+        modify(catalog);
+        await route.fulfill({ response, json: catalog });
+      });
+    }
+
+    test('should store assignments separately from the course list', async ({ page }) => {
+      await evaluateInApp(page, (app) => {
+        app.assignCourse(app.courses.find(c => c.code === 'KUE001'), '1');
+      });
+
+      const saved = await getActivePlanData(page);
+      const id = await evaluateInApp(page, (app) => app.courses.find(c => c.code === 'KUE001').id);
+      expect(saved.courses[0]).not.toHaveProperty('assignedSemester');
+      expect(saved.assignments[id].assignedSemester).toBe('1');
+    });
+
+    test('should merge catalog changes without losing assignments', async ({ page }) => {
+      await evaluateInApp(page, (app) => {
+        app.assignCourse(app.courses.find(c => c.code === 'KUE001'), '1');
+        app.assignCourse(app.courses.find(c => c.code === 'SIF001'), '1');
+      });
+
+      await routeCatalog(page, (catalog) => {
+        catalog.courses.find(c => c.code === 'KUE001').credits = 4;
+        catalog.courses = catalog.courses.filter(c => c.code !== 'SIF001');
+        catalog.courses.push({
+          id: '900', code: 'NEW900', name: 'New Elective', type: 'Pilihan', credits: 2,
+          lecturer: '', recommendedSemester: 7, prerequisites: [], corequisites: [], alternativeGroup: null
+        });
+      });
+      await reloadKeepingStorage(page);
+      await page.waitForLoadState('networkidle');
+
+      const state = await evaluateInApp(page, (app) => {
+        const find = code => app.courses.find(c => c.code === code);
+        return {
+          updated: { credits: find('KUE001').credits, semester: find('KUE001').assignedSemester },
+          removed: { flagged: find('SIF001').removedFromCatalog, semester: find('SIF001').assignedSemester },
+          added: Boolean(find('NEW900'))
+        };
+      });
+
+      expect(state.updated).toEqual({ credits: 4, semester: '1' });
+      expect(state.removed).toEqual({ flagged: true, semester: '1' });
+      expect(state.added).toBe(true);
+      await expect(page.getByTestId('catalog-update-notice')).toBeVisible();
+      await expect(page.getByTestId('removed-from-catalog').first()).toBeVisible();
+    });
+
+    test('should keep local edits to a catalog course', async ({ page }) => {
+      await evaluateInApp(page, (app) => {
+        app.openEditModal(app.courses.find(c => c.code === 'KUE001'));
+        app.newCourse.name = 'Edited Locally';
+        app.saveCourse();
+      });
+
+      await routeCatalog(page, (catalog) => {
+        catalog.courses.find(c => c.code === 'KUE001').name = 'Renamed In Catalog';
+      });
+      await reloadKeepingStorage(page);
+      await page.waitForLoadState('networkidle');
+
+      const name = await evaluateInApp(page, (app) => app.courses.find(c => c.code === 'KUE001').name);
+      expect(name).toBe('Edited Locally');
+    });
+
+    test('should fill in requisites and alternative groups for saves in the original format', async ({ page }) => {
+      await page.evaluate(async () => {
+        // Saves from before versioning: one plan key, courses without requisites or groups
+        const catalog = await (await fetch('./data/courses.json')).json();
+        const courses = catalog.courses.map(({ prerequisites, corequisites, alternativeGroup, offeredIn, ...course }) => ({
+          ...course,
+          assignedSemester: course.code === 'AIK001' ? '1' : null
+        }));
+        localStorage.clear();
+        localStorage.setItem('lectureStudyPlan', JSON.stringify({
+          settings: { ...catalog.settings, totalSemesters: 8 },
+          courses,
+          lastSaved: '2025-01-01T00:00:00.000Z'
+        }));
+      });
+      await reloadKeepingStorage(page);
+      await page.waitForLoadState('networkidle');
+
+      const result = await evaluateInApp(page, (app) => {
+        const find = code => app.courses.find(c => c.code === code);
+        return {
+          flagged: app.courses.filter(c => c.catalogModified).length,
+          withPrerequisites: app.courses.filter(c => c.prerequisites.length > 0).length,
+          groups: [find('AIK001').alternativeGroup, find('AIKM001').alternativeGroup],
+          assigned: find('AIK001').assignedSemester
+        };
+      });
+
+      expect(result.flagged).toBe(0);
+      expect(result.withPrerequisites).toBeGreaterThan(0);
+      expect(result.groups[0]).not.toBeNull();
+      expect(result.groups[1]).toBe(result.groups[0]);
+      expect(result.assigned).toBe('1');
+    });
+
+    test('should keep edits to shipped courses in saves from before catalog tracking', async ({ page }) => {
+      await page.evaluate(() => {
+        const index = JSON.parse(localStorage.getItem('lectureStudyPlans'));
+        localStorage.setItem(`lectureStudyPlan:${index.activePlanId}`, JSON.stringify({
+          version: 2,
+          settings: { totalSemesters: 8, semesterMaxCredits: {} },
+          courses: [{
+            id: '1', code: 'AIK001', name: 'Edited Before Upgrade', type: 'Wajib', credits: 2,
+            lecturer: '', recommendedSemester: 1, prerequisites: [], corequisites: [], alternativeGroup: null,
+            assignedSemester: '1', status: 'planned', grade: null, attempts: []
+          }]
+        }));
+      });
+      await reloadKeepingStorage(page);
+      await page.waitForLoadState('networkidle');
+
+      const course = await evaluateInApp(page, (app) => app.getCourseById('1'));
+      expect(course.name).toBe('Edited Before Upgrade');
+      expect(course.catalogModified).toBe(true);
+      expect(course.assignedSemester).toBe('1');
+    });
+  });
+
+  // ========================================================================
+  // SECTION 22: UNDO / REDO
+  // ========================================================================
+
+  test.describe('Undo / Redo', () => {
+
+    const assignedSemesterOf = (page, code) =>
+      evaluateInApp(page, (app, code) => app.courses.find(c => c.code === code).assignedSemester, code);
+
+    test('should undo and redo an assignment from the header buttons', async ({ page }) => {
+      await expect(page.getByTestId('undo-btn')).toBeDisabled();
+      await evaluateInApp(page, (app) => {
+        app.assignCourse(app.courses.find(c => c.code === 'KUE001'), '1');
+      });
+
+      await page.getByTestId('undo-btn').click();
+      expect(await assignedSemesterOf(page, 'KUE001')).toBeNull();
+      await expect(page.locator('#status-announcements')).toContainText('Undone: Assign KUE001');
+
+      await page.getByTestId('redo-btn').click();
+      expect(await assignedSemesterOf(page, 'KUE001')).toBe('1');
+      await expect(page.locator('#status-announcements')).toContainText('Redone: Assign KUE001');
+    });
+
+    test('should undo auto-map in one step with the keyboard', async ({ page }) => {
+      page.on('dialog', dialog => dialog.accept());
+      await page.getByRole('button', { name: /Auto-Map/ }).click();
+      await waitForAutoMapComplete(page);
+
+      await page.locator('body').click({ position: { x: 1, y: 1 } });
+      await page.keyboard.press('Control+z');
+      const unassigned = await evaluateInApp(page, (app) => app.unassignedCourses.length);
+      expect(unassigned).toBeGreaterThan(0);
+
+      await page.keyboard.press('Control+Shift+z');
+      const remaining = await evaluateInApp(page, (app) => app.unassignedCourses.length);
+      expect(remaining).toBe(0);
+    });
+
+    test('should persist the undone state', async ({ page }) => {
+      await evaluateInApp(page, (app) => {
+        app.assignCourse(app.courses.find(c => c.code === 'KUE001'), '1');
+        app.undo();
+      });
+
+      const saved = await getActivePlanData(page);
+      expect(Object.keys(saved.assignments)).toHaveLength(0);
+    });
+
+    test('should start a new history when switching plans', async ({ page }) => {
+      await evaluateInApp(page, (app) => {
+        app.assignCourse(app.courses.find(c => c.code === 'KUE001'), '1');
+      });
+      page.on('dialog', dialog => dialog.accept('Second Plan'));
+      await page.getByTestId('plan-new-btn').click();
+
+      await expect(page.getByTestId('undo-btn')).toBeDisabled();
+    });
+  });
+
+  // ========================================================================
+  // SECTION 23: CONSTRAINT-AWARE AUTO-MAP
+  // ========================================================================
+
+  test.describe('Constraint-Aware Auto-Map', () => {
+
+    const overloadedSemesters = (page) => evaluateInApp(page, (app) =>
+      app.semesterList
+        .filter(s => app.getSemesterCredits(s.id) > app.getSemesterMaxCredits(s.id))
+        .map(s => s.id)
+    );
+
+    test('should keep every semester within its credit limit', async ({ page }) => {
+      let report = '';
+      page.on('dialog', dialog => {
+        report = dialog.message();
+        dialog.accept();
+      });
+      await page.getByRole('button', { name: /Auto-Map/ }).click();
+      await waitForAutoMapComplete(page);
+
+      expect(await overloadedSemesters(page)).toEqual([]);
+      // Semester 6 is over its limit by recommendation alone, so some courses spill over
+      expect(report).toContain('Moved from the recommended semester');
+    });
+
+    test('should report courses that cannot be placed', async ({ page }) => {
+      const report = await evaluateInApp(page, (app) => {
+        Object.keys(app.settings.semesterMaxCredits).forEach(id => {
+          app.settings.semesterMaxCredits[id] = 12;
+        });
+        let message = '';
+        const originalAlert = window.alert;
+        window.alert = (text) => { message = text; };
+        app.autoMapCourses();
+        window.alert = originalAlert;
+        return message;
+      });
+
+      expect(report).toContain('Could not be placed');
+      expect(await overloadedSemesters(page)).toEqual([]);
+    });
+
+    test('should work around courses already placed by the student', async ({ page }) => {
+      const result = await evaluateInApp(page, (app) => {
+        // Fill semester 1 with courses recommended for later semesters
+        app.courses
+          .filter(c => String(c.recommendedSemester) === '8')
+          .forEach(c => { c.assignedSemester = '1'; c.status = 'planned'; });
+        const originalAlert = window.alert;
+        window.alert = () => {};
+        app.autoMapCourses();
+        window.alert = originalAlert;
+        return {
+          credits: app.getSemesterCredits('1'),
+          max: app.getSemesterMaxCredits('1'),
+          keptInPlace: app.courses
+            .filter(c => String(c.recommendedSemester) === '8')
+            .every(c => c.assignedSemester === '1')
+        };
+      });
+
+      expect(result.keptInPlace).toBe(true);
+      expect(result.credits).toBeLessThanOrEqual(result.max);
+    });
+  });
+
+  // ========================================================================
+  // SECTION 24: EARLIEST-GRADUATION OPTIMIZER
+  // ========================================================================
+
+  test.describe('Fastest Path', () => {
+
+    test('should preview a proposal without changing the plan', async ({ page }) => {
+      await page.getByTestId('fastest-path-btn').click();
+
+      await expect(page.getByTestId('proposal-modal')).toBeVisible();
+      await expect(page.getByTestId('proposal-summary')).toContainText('Earliest graduation after');
+      await expect(page.getByTestId('proposal-added').first()).toBeVisible();
+
+      const assigned = await evaluateInApp(page, (app) => app.courses.filter(c => c.assignedSemester).length);
+      expect(assigned).toBe(0);
+
+      await page.getByTestId('proposal-discard').click();
+      await expect(page.getByTestId('proposal-modal')).toBeHidden();
+      const stillAssigned = await evaluateInApp(page, (app) => app.courses.filter(c => c.assignedSemester).length);
+      expect(stillAssigned).toBe(0);
+    });
+
+    test('should apply a plan that meets the goal within all limits', async ({ page }) => {
+      await page.getByTestId('fastest-path-btn').click();
+      await page.getByTestId('proposal-accept').click();
+
+      const result = await evaluateInApp(page, (app) => ({
+        goalMet: app.isGraduationGoalMet(),
+        overloaded: app.semesterList.filter(s => app.getSemesterCredits(s.id) > app.getSemesterMaxCredits(s.id)).length,
+        violations: app.semesterList.reduce((sum, s) => sum + app.getSemesterViolationCount(s.id), 0)
+      }));
+      expect(result).toEqual({ goalMet: true, overloaded: 0, violations: 0 });
+    });
+
+    test('should keep courses the student already placed', async ({ page }) => {
+      const result = await evaluateInApp(page, (app) => {
+        const course = app.courses.find(c => c.code === 'KUE001');
+        app.assignCourse(course, '3');
+        const proposal = app.computeFastestPath();
+        return {
+          proposesKue: proposal.placements.some(p => p.courseId === course.id),
+          stillInThree: course.assignedSemester
+        };
+      });
+      expect(result).toEqual({ proposesKue: false, stillInThree: '3' });
+    });
+
+    test('should finish no later than mapping every course to its recommended semester', async ({ page }) => {
+      const lastIndex = await evaluateInApp(page, (app) => {
+        const proposal = app.computeFastestPath();
+        return app.getSemesterOrder(proposal.lastSemester);
+      });
+      const semester8Index = await evaluateInApp(page, (app) => app.getSemesterOrder('8'));
+      expect(lastIndex).toBeLessThan(semester8Index);
+    });
+
+    test('should not place a prerequisite in or after the semester of an assigned dependent', async ({ page }) => {
+      const result = await evaluateInApp(page, (app) => {
+        const dependent = app.courses.find(c => c.code === 'AIK002');
+        const prerequisite = app.getCourseById(dependent.prerequisites[0]);
+        dependent.assignedSemester = '2';
+        app.invalidateCache();
+        app.toggleSemesterLock('1');
+        const before = JSON.stringify(app.courses);
+
+        const placement = app.computeFastestPath().placements.find(p => p.courseId === prerequisite.id);
+        return { placement: placement || null, unchanged: JSON.stringify(app.courses) === before };
+      });
+
+      expect(result.placement).toBeNull();
+      expect(result.unchanged).toBe(true);
+    });
+  });
+
+  // ========================================================================
+  // SECTION 25: BALANCED WORKLOAD
+  // ========================================================================
+
+  test.describe('Balanced Workload', () => {
+
+    test('should report per-semester credits before applying', async ({ page }) => {
+      await page.getByTestId('balanced-plan-btn').click();
+
+      await expect(page.getByTestId('proposal-modal')).toBeVisible();
+      await expect(page.getByTestId('proposal-summary')).toContainText('Credits per semester');
+      await expect(page.getByTestId('proposal-semester')).not.toHaveCount(0);
+
+      const assigned = await evaluateInApp(page, (app) => app.courses.filter(c => c.assignedSemester).length);
+      expect(assigned).toBe(0);
+    });
+
+    test('should spread credits more evenly than auto-map', async ({ page }) => {
+      const variances = await evaluateInApp(page, (app) => {
+        const balanced = app.computeBalancedPlan().variance;
+        const originalAlert = window.alert;
+        window.alert = () => {};
+        app.autoMapCourses();
+        window.alert = originalAlert;
+        return { balanced, autoMap: app.getCreditVariance() };
+      });
+
+      expect(variances.balanced).toBeLessThan(variances.autoMap);
+    });
+
+    test('should keep courses within the configured tolerance', async ({ page }) => {
+      const result = await evaluateInApp(page, (app) => {
+        app.settings.balanceTolerance = 1;
+        const proposal = app.computeBalancedPlan();
+        const regular = app.semesterList.filter(s => s.type === 'normal').map(s => s.id);
+        const farMoves = proposal.placements.filter(({ courseId, semester }) => {
+          if (proposal.outsideTolerance.includes(courseId)) return false;
+          const course = app.getCourseById(courseId);
+          const from = regular.indexOf(String(course.recommendedSemester));
+          const to = regular.indexOf(semester);
+          return from !== -1 && Math.abs(to - from) > 1;
+        });
+        return farMoves.length;
+      });
+
+      expect(result).toBe(0);
+    });
+
+    test('should apply the balanced plan within all limits', async ({ page }) => {
+      await page.getByTestId('balanced-plan-btn').click();
+      await page.getByTestId('proposal-accept').click();
+
+      const result = await evaluateInApp(page, (app) => ({
+        unassigned: app.unassignedCourses.length,
+        overloaded: app.semesterList.filter(s => app.getSemesterCredits(s.id) > app.getSemesterMaxCredits(s.id)).length,
+        violations: app.semesterList.reduce((sum, s) => sum + app.getSemesterViolationCount(s.id), 0)
+      }));
+      expect(result).toEqual({ unassigned: 0, overloaded: 0, violations: 0 });
+    });
+  });
+
+  // ========================================================================
+  // SECTION 26: COURSE OFFERING TERMS
+  // ========================================================================
+
+  test.describe('Offering Terms', () => {
+
+    const limitFirstCourse = (page, offeredIn) => evaluateInApp(page, (app, terms) => {
+      const course = app.courses.find(c => String(c.recommendedSemester) === '1');
+      course.offeredIn = terms;
+      return { id: course.id, name: course.name };
+    }, offeredIn);
+
+    test('should mark terms where the course is not offered', async ({ page }) => {
+      const course = await limitFirstCourse(page, ['odd']);
+      const select = page.locator('#assign-course-' + course.id);
+
+      await expect(select.locator('option[value="1"]')).not.toContainText('not offered');
+      await expect(select.locator('option[value="2"]')).toContainText('not offered');
+      await expect(select.locator('option[value="antara-1"]')).toContainText('not offered');
+    });
+
+    test('should ask before placing a course in a term it is not offered', async ({ page }) => {
+      const course = await limitFirstCourse(page, ['odd']);
+      let message = '';
+      page.once('dialog', dialog => {
+        message = dialog.message();
+        dialog.dismiss();
+      });
+
+      await page.locator('#assign-course-' + course.id).selectOption('2');
+
+      expect(message).toContain('not offered in this term');
+      const assigned = await evaluateInApp(page, (app, id) => app.getCourseById(id).assignedSemester, course.id);
+      expect(assigned).toBeFalsy();
+    });
+
+    test('should never auto-map a course into a term it is not offered', async ({ page }) => {
+      const misplaced = await evaluateInApp(page, (app) => {
+        // Alternate the offering term of every regular course
+        app.courses.forEach(c => {
+          c.offeredIn = parseInt(c.recommendedSemester) % 2 === 1 ? ['odd'] : ['even'];
+        });
+        const originalAlert = window.alert;
+        window.alert = () => {};
+        app.autoMapCourses();
+        window.alert = originalAlert;
+        return app.courses
+          .filter(c => c.assignedSemester && !app.isOfferedIn(c, c.assignedSemester))
+          .map(c => c.code);
+      });
+
+      expect(misplaced).toEqual([]);
+    });
+  });
+
+  // ========================================================================
+  // SECTION 27: ACADEMIC CALENDAR
+  // ========================================================================
+
+  test.describe('Academic Calendar', () => {
+
+    const setCalendar = (page, startYear, startTerm) => evaluateInApp(page, (app, calendar) => {
+      app.settings.startYear = calendar.startYear;
+      app.settings.startTerm = calendar.startTerm;
+      app.generateSemesterList();
+    }, { startYear, startTerm });
+
+    test('should keep numbered semesters without a start year', async ({ page }) => {
+      await expect(page.locator('h3', { hasText: 'Semester 1' }).first()).toBeVisible();
+      await expect(page.getByTestId('semester-dates').first()).toBeHidden();
+    });
+
+    test('should label semesters with academic periods and dates', async ({ page }) => {
+      await setCalendar(page, 2025, 'odd');
+
+      await expect(page.locator('h3', { hasText: '2025/2026 Ganjil' })).toBeVisible();
+      await expect(page.locator('h3', { hasText: '2025/2026 Genap' })).toBeVisible();
+      await expect(page.locator('h3', { hasText: 'Antara 2026' })).toBeVisible();
+      await expect(page.getByTestId('semester-dates').first()).toContainText('Semester 1');
+      await expect(page.getByTestId('semester-dates').first()).toContainText('2025');
+    });
+
+    test('should start the calendar in genap for an even enrolment term', async ({ page }) => {
+      await setCalendar(page, 2025, 'even');
+
+      const layout = await evaluateInApp(page, (app) => ({
+        order: app.semesterList.slice(0, 3).map(s => s.id),
+        first: app.getSemesterName('1'),
+        term: app.getSemesterTerm('1')
+      }));
+      expect(layout).toEqual({ order: ['1', 'antara-1', '2'], first: '2025/2026 Genap', term: 'even' });
+    });
+
+    test('should include period labels in the CSV export', async ({ page }) => {
+      await setCalendar(page, 2025, 'odd');
+      await evaluateInApp(page, (app) => {
+        app.assignCourse(app.courses.find(c => c.code === 'KUE001'), '1');
+      });
+
+      const downloadPromise = page.waitForEvent('download');
+      await evaluateInApp(page, (app) => app.exportToCSV());
+      const download = await downloadPromise;
+      const stream = await download.createReadStream();
+      let csv = '';
+      for await (const chunk of stream) csv += chunk;
+
+      expect(csv.split('\n')[0]).toContain('Assigned Period');
+      expect(csv).toContain('"2025/2026 Ganjil"');
+    });
+  });
+
+  // ========================================================================
+  // SECTION 28: ANTARA PLACEMENT
+  // ========================================================================
+
+  test.describe('Antara Placement', () => {
+
+    const changePlacement = (page, placement) => evaluateInApp(page, (app, changes) => {
+      Object.assign(app.settings.antaraPlacement, changes);
+      const originalAlert = window.alert;
+      window.alert = () => {};
+      app.updateSemesterLayout();
+      window.alert = originalAlert;
+      return app.semesterList.map(s => s.id);
+    }, placement);
+
+    test('should support plans without antara periods', async ({ page }) => {
+      const ids = await changePlacement(page, { mode: 'none' });
+
+      expect(ids).toEqual(['1', '2', '3', '4', '5', '6', '7', '8']);
+      await expect(page.locator('h3', { hasText: 'Antara 1' })).toHaveCount(0);
+    });
+
+    test('should place antara after the chosen semesters', async ({ page }) => {
+      const ids = await changePlacement(page, { mode: 'after', after: ['3', '7'] });
+      expect(ids).toEqual(['1', '2', '3', 'antara-1', '4', '5', '6', '7', 'antara-2', '8']);
+
+      const pattern = await changePlacement(page, { mode: 'every', every: 3, from: 1 });
+      expect(pattern).toEqual(['1', 'antara-1', '2', '3', '4', 'antara-2', '5', '6', '7', 'antara-3', '8']);
+    });
+
+    test('should move assignments with their antara period', async ({ page }) => {
+      const courseId = await evaluateInApp(page, (app) => {
+        const course = app.courses.find(c => c.code === 'KUE001');
+        app.assignCourse(course, 'antara-2');
+        return course.id;
+      });
+
+      await changePlacement(page, { mode: 'after', after: ['4'] });
+
+      const result = await evaluateInApp(page, (app, id) => {
+        const semester = app.semesterList.find(s => s.id === app.getCourseById(id).assignedSemester);
+        return { id: semester.id, after: semester.after };
+      }, courseId);
+      expect(result).toEqual({ id: 'antara-1', after: '4' });
+    });
+
+    test('should keep completed courses when their antara is removed', async ({ page }) => {
+      const ids = await evaluateInApp(page, (app) => {
+        const [passed, planned] = app.courses.filter(c => !c.alternativeGroup && c.prerequisites.length === 0);
+        app.assignCourse(passed, 'antara-1');
+        app.setCourseStatus(passed, 'passed');
+        app.assignCourse(planned, 'antara-1');
+        return { passed: passed.id, planned: planned.id };
+      });
+
+      await changePlacement(page, { mode: 'none' });
+
+      const result = await evaluateInApp(page, (app, courseIds) => ({
+        passed: app.getCourseById(courseIds.passed).assignedSemester,
+        planned: app.getCourseById(courseIds.planned).assignedSemester
+      }), ids);
+      expect(result).toEqual({ passed: '2', planned: null });
+    });
+
+    test('should refuse a layout change that would move locked courses', async ({ page }) => {
+      const result = await evaluateInApp(page, (app) => {
+        const course = app.courses.find(c => c.code === 'KUE001');
+        app.assignCourse(course, 'antara-2');
+        app.toggleCourseLock(course);
+
+        let message = '';
+        const originalAlert = window.alert;
+        window.alert = (text) => { message = text; };
+        app.settings.antaraPlacement.mode = 'after';
+        app.settings.antaraPlacement.after = ['4'];
+        app.updateSemesterLayout();
+        window.alert = originalAlert;
+
+        return {
+          message,
+          semester: course.assignedSemester,
+          mode: app.settings.antaraPlacement.mode,
+          antara: app.semesterList.filter(s => s.type === 'antara').map(s => s.id)
+        };
+      });
+
+      expect(result.message).toContain('KUE001');
+      expect(result.semester).toBe('antara-2');
+      expect(result.mode).toBe('genap');
+      expect(result.antara).toEqual(['antara-1', 'antara-2', 'antara-3']);
+    });
+
+    test('should keep semester locks on the antara they were set on', async ({ page }) => {
+      await evaluateInApp(page, (app) => app.toggleSemesterLock('antara-2'));
+
+      await changePlacement(page, { mode: 'after', after: ['4'] });
+      expect(await evaluateInApp(page, (app) => app.settings.lockedSemesters)).toEqual(['antara-1']);
+
+      await changePlacement(page, { mode: 'none' });
+      expect(await evaluateInApp(page, (app) => app.settings.lockedSemesters)).toEqual([]);
+    });
+  });
+
+  // ========================================================================
+  // SECTION 29: IPS-BASED CREDIT LIMITS
+  // ========================================================================
+
+  test.describe('IPS-Based Credit Limits', () => {
+
+    // Pass every semester 1 course with the given grade
+    const gradeFirstSemester = (page, grade) => evaluateInApp(page, (app, letter) => {
+      app.settings.creditLimitRules.enabled = true;
+      app.courses
+        .filter(c => String(c.recommendedSemester) === '1')
+        .forEach(c => {
+          app.assignCourse(c, '1');
+          app.setCourseStatus(c, 'passed');
+          app.setCourseGrade(c, letter);
+        });
+    }, grade);
+
+    test('should set the next limit from the recorded IPS', async ({ page }) => {
+      await gradeFirstSemester(page, 'A');
+      expect(await evaluateInApp(page, (app) => app.getSemesterMaxCredits('2'))).toBe(24);
+
+      await gradeFirstSemester(page, 'BC');
+      expect(await evaluateInApp(page, (app) => app.getSemesterMaxCredits('2'))).toBe(21);
+
+      await gradeFirstSemester(page, 'C');
+      expect(await evaluateInApp(page, (app) => app.getSemesterMaxCredits('2'))).toBe(18);
+    });
+
+    test('should use the projected IPS for semesters without grades', async ({ page }) => {
+      const limits = await evaluateInApp(page, (app) => {
+        app.settings.creditLimitRules.enabled = true;
+        const withoutProjection = app.getSemesterCreditLimit('3');
+        app.settings.creditLimitRules.projectedIps = 2.75;
+        return { fixed: withoutProjection.source, projected: app.getSemesterMaxCredits('3') };
+      });
+
+      expect(limits).toEqual({ fixed: 'no_ips', projected: 21 });
+    });
+
+    test('should keep fixed limits for the first semester and antara', async ({ page }) => {
+      const limits = await evaluateInApp(page, (app) => {
+        app.settings.creditLimitRules.enabled = true;
+        app.settings.creditLimitRules.projectedIps = 4;
+        return [app.getSemesterMaxCredits('1'), app.getSemesterMaxCredits('antara-1')];
+      });
+
+      expect(limits).toEqual([20, 9]);
+    });
+
+    test('should explain the limit on the semester card', async ({ page }) => {
+      await gradeFirstSemester(page, 'BC');
+
+      const reasons = page.getByTestId('credit-limit-reason');
+      await expect(reasons.first()).toContainText('First semester');
+      await expect(reasons.nth(1)).toContainText('2.50');
+      await expect(reasons.nth(1)).toContainText('21');
+    });
+  });
+
+  // ========================================================================
+  // SECTION 30: LOCKED COURSES AND SEMESTERS
+  // ========================================================================
+
+  test.describe('Locks', () => {
+
+    test('should keep auto-map out of locked semesters', async ({ page }) => {
+      await page.getByTestId('semester-lock-btn').nth(1).click();
+      await expect(page.getByTestId('semester-locked-badge').nth(1)).toBeVisible();
+      await expect(page.getByTestId('semester-lock-btn').nth(1)).toHaveAttribute('aria-pressed', 'true');
+
+      page.on('dialog', dialog => dialog.accept());
+      await page.getByRole('button', { name: /Auto-Map/ }).click();
+      await waitForAutoMapComplete(page);
+
+      const secondSemester = await evaluateInApp(page, (app) => app.getSemesterCourses('2').length);
+      expect(secondSemester).toBe(0);
+    });
+
+    test('should keep locked courses in place on unassign and clear', async ({ page }) => {
+      const courseId = await evaluateInApp(page, (app) => {
+        const course = app.courses.find(c => c.code === 'KUE001');
+        app.assignCourse(course, '1');
+        return course.id;
+      });
+
+      await page.getByTestId('course-lock-btn').first().click();
+      await expect(page.getByTestId('course-lock-btn').first()).toHaveAttribute('aria-pressed', 'true');
+      await expect(page.locator('[data-locked="true"]')).toHaveCount(1);
+
+      page.on('dialog', dialog => dialog.accept());
+      await page.getByTestId('semester-clear-btn').first().click();
+
+      const assigned = await evaluateInApp(page, (app, id) => {
+        app.unassignCourse(app.getCourseById(id));
+        return app.getCourseById(id).assignedSemester;
+      }, courseId);
+      expect(assigned).toBe('1');
+    });
+
+    test('should keep locked assignments when importing', async ({ page }) => {
+      const result = await evaluateInApp(page, (app) => {
+        const course = app.courses.find(c => c.code === 'KUE001');
+        app.assignCourse(course, '1');
+        app.toggleCourseLock(course);
+        app.toggleSemesterLock('2');
+
+        const imported = JSON.parse(JSON.stringify(app.courses));
+        imported.forEach(c => { c.assignedSemester = null; c.status = null; });
+        imported.find(c => c.id !== course.id).assignedSemester = '2';
+
+        const held = app.applyLocksToImport(imported);
+        return {
+          held,
+          locked: imported.find(c => c.id === course.id).assignedSemester,
+          inLockedSemester: imported.filter(c => c.assignedSemester === '2').length
+        };
+      });
+
+      expect(result).toEqual({ held: 2, locked: '1', inLockedSemester: 0 });
+    });
+
+    test('should ask before failing a locked course', async ({ page }) => {
+      const courseId = await evaluateInApp(page, (app) => {
+        const course = app.courses.find(c => c.code === 'KUE001');
+        app.assignCourse(course, '1');
+        app.toggleCourseLock(course);
+        return course.id;
+      });
+      const statusOf = () => evaluateInApp(page, (app, id) => {
+        const course = app.getCourseById(id);
+        return { semester: course.assignedSemester, locked: Boolean(course.locked) };
+      }, courseId);
+      const select = page.locator(`#course-status-${courseId}`);
+
+      page.once('dialog', dialog => dialog.dismiss());
+      await select.selectOption('failed');
+      expect(await statusOf()).toEqual({ semester: '1', locked: true });
+      await expect(select).toHaveValue('planned');
+
+      page.once('dialog', dialog => dialog.accept());
+      await select.selectOption('failed');
+      expect(await statusOf()).toEqual({ semester: null, locked: false });
+    });
+  });
+
+  // ========================================================================
+  // SECTION 31: WHAT-IF ANALYSIS
+  // ========================================================================
+
+  test.describe('What-If Analysis', () => {
+
+    const autoMap = (page) => evaluateInApp(page, (app) => {
+      const originalAlert = window.alert;
+      window.alert = () => {};
+      app.autoMapCourses();
+      window.alert = originalAlert;
+    });
+
+    test('should preview a change next to the semester cards without applying it', async ({ page }) => {
+      await autoMap(page);
+      const before = await evaluateInApp(page, (app) => JSON.stringify(app.serializePlan()));
+
+      await page.getByTestId('what-if-btn').first().click();
+
+      await expect(page.getByTestId('what-if-panel')).toBeVisible();
+      await expect(page.getByTestId('what-if-graduation')).toContainText('graduation');
+      await expect(page.getByTestId('what-if-credits').first()).toBeVisible();
+      const after = await evaluateInApp(page, (app) => JSON.stringify(app.serializePlan()));
+      expect(after).toBe(before);
+
+      await page.getByTestId('what-if-close').click();
+      await expect(page.getByTestId('what-if-panel')).toHaveCount(0);
+    });
+
+    test('should list dependent courses that a move or failure breaks', async ({ page }) => {
+      await autoMap(page);
+
+      const impact = await evaluateInApp(page, (app) => {
+        const course = app.getSemesterCourses('1').find(c => app.courses.some(d => (d.prerequisites || []).includes(c.id)));
+        const moved = app.simulateWhatIf(course, 'move', '8');
+        const failed = app.simulateWhatIf(course, 'fail');
+        return {
+          moved: moved.brokenDependents.length,
+          failed: failed.brokenDependents.length,
+          stillAssigned: course.assignedSemester === '1'
+        };
+      });
+
+      expect(impact.moved).toBeGreaterThan(0);
+      expect(impact.failed).toBeGreaterThan(0);
+      expect(impact.stillAssigned).toBe(true);
+    });
+
+    test('should report over-limit semesters and a later graduation', async ({ page }) => {
+      const impact = await evaluateInApp(page, (app) => {
+        app.planProposal = app.computeFastestPath();
+        app.acceptProposal();
+        const course = app.getSemesterCourses('1')[0];
+        app.settings.semesterMaxCredits['8'] = course.credits - 1;
+        return app.simulateWhatIf(course, 'move', '8');
+      });
+
+      expect(impact.overLimit).toContain('8');
+      expect(impact.graduationAfter).toBe('8');
+      expect(impact.graduationBefore).not.toBe('8');
+    });
+
+    test('should retake a failed course after the semester it was failed in', async ({ page }) => {
+      const result = await evaluateInApp(page, (app) => {
+        const originalAlert = window.alert;
+        window.alert = () => {};
+        app.settings.totalSemesters = 10;
+        app.updateSemesterLayout();
+        app.autoMapCourses();
+        window.alert = originalAlert;
+
+        // A required course with nothing depending on it, taken in the final planned semester
+        const course = app.courses.find(c =>
+          c.type === 'Wajib' && app.countDependents(c) === 0 && c.assignedSemester !== '8' && app.isOfferedIn(c, '8'));
+        course.assignedSemester = '8';
+        app.invalidateCache();
+
+        const impact = app.simulateWhatIf(course, 'fail');
+        return {
+          before: app.getSemesterOrder(impact.graduationBefore),
+          after: app.getSemesterOrder(impact.graduationAfter),
+          last: app.getSemesterOrder('8')
+        };
+      });
+
+      expect(result.before).toBe(result.last);
+      expect(result.after).toBeGreaterThan(result.before);
+    });
+  });
+
+  // ========================================================================
+  // SECTION 32: GRADUATION AUDIT
+  // ========================================================================
+
+  test.describe('Graduation Audit', () => {
+
+    test('should fail an empty plan with itemized deficits', async ({ page }) => {
+      const audit = await evaluateInApp(page, (app) => app.getGraduationAudit());
+
+      expect(audit.passed).toBe(false);
+      const byId = Object.fromEntries(audit.checks.map(check => [check.id, check]));
+      expect(byId.total_credits.deficits[0]).toContain('145');
+      expect(byId.type_minimums.passed).toBe(false);
+      expect(byId.required_courses.deficits.length).toBeGreaterThan(0);
+      expect(byId.semester_limits.passed).toBe(true);
+    });
+
+    test('should pass once auto-map has placed every course', async ({ page }) => {
+      page.on('dialog', dialog => dialog.accept());
+      await page.getByRole('button', { name: /Auto-Map/ }).click();
+      await waitForAutoMapComplete(page);
+
+      const passed = await evaluateInApp(page, (app) => app.getGraduationAudit().passed);
+      expect(passed).toBe(true);
+    });
+
+    test('should itemize over-limit semesters and order issues', async ({ page }) => {
+      const checks = await evaluateInApp(page, (app) => {
+        const withPrerequisite = app.courses.find(c => (c.prerequisites || []).length > 0);
+        withPrerequisite.assignedSemester = '1';
+        app.settings.semesterMaxCredits['1'] = 1;
+        app.invalidateCache();
+        return app.getGraduationAudit().checks.filter(check => !check.passed).map(check => check.id);
+      });
+
+      expect(checks).toContain('semester_limits');
+      expect(checks).toContain('ordering');
+    });
+
+    test('should reuse the computed audit until the plan or settings change', async ({ page }) => {
+      const result = await evaluateInApp(page, (app) => {
+        const first = app.graduationAudit;
+        const reused = app.graduationAudit === first;
+        app.settings.targetCredits = 120;
+        const afterSettings = app.graduationAudit.checks.find(check => check.id === 'total_credits').summary;
+        const beforeAssign = app.graduationAudit;
+        app.assignCourse(app.courses.find(c => c.code === 'KUE001'), '1');
+        return { reused, afterSettings, refreshed: app.graduationAudit !== beforeAssign };
+      });
+
+      expect(result.reused).toBe(true);
+      expect(result.afterSettings).toContain('/120');
+      expect(result.refreshed).toBe(true);
+      await expect(page.getByTestId('audit-total_credits')).toContainText('/120');
+    });
+
+    test('should include the audit in the printed report', async ({ page }) => {
+      await evaluateInApp(page, (app) => {
+        window.print = () => {};
+        app.exportToPDF();
+      });
+
+      await expect(page.getByTestId('graduation-audit')).toBeVisible();
+      await expect(page.getByTestId('audit-result')).toContainText('NOT YET');
+      await expect(page.getByTestId('audit-total_credits')).toHaveAttribute('data-passed', 'false');
+    });
+  });
+
+  // ========================================================================
+  // SECTION 33: RECOGNIZED CREDITS
+  // ========================================================================
+
+  test.describe('Recognized Credits', () => {
+
+    test('should count recognized credits toward totals and their course type', async ({ page }) => {
+      const result = await evaluateInApp(page, (app) => {
+        app.newRecognized = { source: 'MBKM Internship', credits: 20, substitutesCourseId: '', type: 'Pilihan', semester: '5' };
+        app.addRecognizedCredit();
+        return {
+          total: app.totalCreditsTaken,
+          earned: app.earnedCredits,
+          pilihan: app.getCreditsByType().Pilihan,
+          semesterCredits: app.getSemesterCredits('5')
+        };
+      });
+
+      expect(result.total).toBe(20);
+      expect(result.earned).toBe(20);
+      expect(result.pilihan).toBe(20);
+      // Recognized credits do not use up the semester's credit limit
+      expect(result.semesterCredits).toBe(0);
+      await expect(page.getByTestId('recognized-item')).toContainText('MBKM Internship');
+    });
+
+    test('should take a substituted course out of the pool and the required-course audit', async ({ page }) => {
+      const result = await evaluateInApp(page, (app) => {
+        const course = app.courses.find(c => c.code === 'AIK001');
+        const poolBefore = app.unassignedCourses.length;
+        app.newRecognized = { source: 'Previous University', credits: course.credits, substitutesCourseId: course.id, type: 'Pilihan', semester: '1' };
+        app.addRecognizedCredit();
+        const required = app.getGraduationAudit().checks.find(check => check.id === 'required_courses');
+        return {
+          poolBefore,
+          poolAfter: app.unassignedCourses.length,
+          inPool: app.unassignedCourses.some(c => c.id === course.id),
+          missing: required.deficits.some(deficit => deficit.startsWith('AIK001')),
+          wajib: app.getCreditsByType().Wajib
+        };
+      });
+
+      expect(result.inPool).toBe(false);
+      expect(result.poolAfter).toBeLessThan(result.poolBefore);
+      expect(result.missing).toBe(false);
+      expect(result.wajib).toBeGreaterThan(0);
+    });
+
+    test('should keep recognized credits in saves and mark them in the CSV export', async ({ page }) => {
+      await evaluateInApp(page, (app) => {
+        app.newRecognized = { source: 'Exchange Program', credits: 6, substitutesCourseId: '', type: 'Lainnya', semester: '2' };
+        app.addRecognizedCredit();
+      });
+
+      const saved = await getActivePlanData(page);
+      expect(saved.recognizedCredits).toHaveLength(1);
+      expect(saved.recognizedCredits[0].source).toBe('Exchange Program');
+
+      const downloadPromise = page.waitForEvent('download');
+      await evaluateInApp(page, (app) => app.exportToCSV());
+      const download = await downloadPromise;
+      const stream = await download.createReadStream();
+      let csv = '';
+      for await (const chunk of stream) csv += chunk;
+
+      expect(csv.split('\n')[0]).toContain('Recognized From');
+      expect(csv).toMatch(/"recognized".*"Exchange Program"/);
+    });
+  });
+
+  // ========================================================================
+  // SECTION 34: CSV IMPORT/EXPORT
+  // ========================================================================
+
+  test.describe('CSV Import/Export', () => {
+
+    const importCsv = (page, text) => page.locator('input[type="file"][accept=".csv"]').setInputFiles({
+      name: 'courses.csv',
+      mimeType: 'text/csv',
+      buffer: Buffer.from(text)
+    });
+
+    test('should escape quotes, delimiters and line breaks on export', async ({ page }) => {
+      await evaluateInApp(page, (app) => {
+        app.courses[0].name = 'Ethics, "Applied"\nPart 1';
+      });
+
+      const downloadPromise = page.waitForEvent('download');
+      await evaluateInApp(page, (app) => app.exportToCSV());
+      const download = await downloadPromise;
+      const stream = await download.createReadStream();
+      let csv = '';
+      for await (const chunk of stream) csv += chunk;
+
+      expect(csv).toContain('"Ethics, ""Applied""\nPart 1"');
+      expect(csv).toContain('\r\n');
+    });
+
+    test('should import semicolon-separated files with a BOM and CRLF by header name', async ({ page }) => {
+      page.on('dialog', dialog => dialog.accept());
+      await importCsv(page, '\uFEFFKode;Nama;SKS;Type\r\nX101;"Logic; Sets";3;Wajib\r\nX102;"Say ""hi""";2;Pilihan\r\n');
+      await page.getByTestId('import-preview-apply').click();
+
+      await expect.poll(() => evaluateInApp(page, (app) => app.courses.length)).toBe(2);
+      const courses = await evaluateInApp(page, (app) => app.courses.map(c => [c.code, c.name, c.credits, c.type]));
+      expect(courses).toEqual([
+        ['X101', 'Logic; Sets', 3, 'Wajib'],
+        ['X102', 'Say "hi"', 2, 'Pilihan']
+      ]);
+    });
+
+    test('should ask for a column mapping when headers do not match', async ({ page }) => {
+      page.on('dialog', dialog => dialog.accept());
+      await importCsv(page, 'Course Code,Title,Credits\nZ1,"Multi\nline",4\n');
+
+      await expect(page.getByTestId('csv-mapping-modal')).toBeVisible();
+      await expect(page.getByTestId('csv-mapping-unknown')).toContainText('Course Code');
+      await page.getByTestId('csv-map-code').selectOption({ label: 'Course Code' });
+      await page.getByTestId('csv-map-name').selectOption({ label: 'Title' });
+      await page.getByTestId('csv-mapping-import').click();
+      await page.getByTestId('import-preview-apply').click();
+
+      const courses = await evaluateInApp(page, (app) => app.courses.map(c => [c.code, c.name, c.credits]));
+      expect(courses).toEqual([['Z1', 'Multi\nline', 4]]);
+    });
+  });
+
+  // ========================================================================
+  // SECTION 35: IMPORT PREVIEW
+  // ========================================================================
+
+  test.describe('Import Preview', () => {
+
+    const importCsv = (page, text) => page.locator('input[type="file"][accept=".csv"]').setInputFiles({
+      name: 'courses.csv',
+      mimeType: 'text/csv',
+      buffer: Buffer.from(text)
+    });
+
+    test.beforeEach(async ({ page }) => {
+      await evaluateInApp(page, (app) => {
+        app.assignCourse(app.courses[0], '1');
+      });
+    });
+
+    test('should list added, changed and removed courses without changing the plan', async ({ page }) => {
+      await importCsv(page, 'ID,Code,Name,Credits\n1,AIK001,Renamed Course,2\nNEW1,NEW001,New Course,3\n');
+
+      await expect(page.getByTestId('import-preview-modal')).toBeVisible();
+      await expect(page.getByTestId('import-row-added')).toHaveCount(1);
+      await expect(page.getByTestId('import-row-changed')).toContainText('name');
+      await expect(page.getByTestId('import-row-removed')).toHaveCount(67);
+
+      await page.getByTestId('import-preview-cancel').click();
+      const courses = await evaluateInApp(page, (app) => ({ count: app.courses.length, name: app.courses[0].name }));
+      expect(courses.count).toBe(68);
+      expect(courses.name).not.toBe('Renamed Course');
+    });
+
+    test('should merge catalog changes and keep local assignments', async ({ page }) => {
+      page.on('dialog', dialog => dialog.accept());
+      await importCsv(page, 'ID,Code,Name,Credits,Assigned Semester\n1,AIK001,Renamed Course,2,\nNEW1,NEW001,New Course,3,\n');
+      await page.getByTestId('import-mode-merge').check();
+      await expect(page.getByTestId('import-row-removed')).toHaveCount(0);
+      await page.getByTestId('import-preview-apply').click();
+
+      const result = await evaluateInApp(page, (app) => ({
+        count: app.courses.length,
+        course: app.getCourseById('1'),
+        added: Boolean(app.getCourseById('NEW1'))
+      }));
+      expect(result.count).toBe(69);
+      expect(result.course.name).toBe('Renamed Course');
+      expect(result.course.assignedSemester).toBe('1');
+      expect(result.added).toBe(true);
+    });
+
+    test('should keep excluded rows as they are when replacing', async ({ page }) => {
+      page.on('dialog', dialog => dialog.accept());
+      await importCsv(page, 'ID,Code,Name,Credits\n1,AIK001,Renamed Course,2\nNEW1,NEW001,New Course,3\n');
+      await page.getByTestId('import-row-changed').getByRole('checkbox').uncheck();
+      await page.getByTestId('import-row-added').getByRole('checkbox').uncheck();
+      await page.getByTestId('import-preview-apply').click();
+
+      const result = await evaluateInApp(page, (app) => ({
+        ids: app.courses.map(c => c.id),
+        name: app.getCourseById('1').name
+      }));
+      expect(result.ids).toEqual(['1']);
+      expect(result.name).not.toBe('Renamed Course');
+    });
+  });
+
+  // ========================================================================
+  // SECTION 36: EXCEL IMPORT/EXPORT
+  // ========================================================================
+
+  test.describe('Excel Import/Export', () => {
+
+    const exportWorkbook = async (page) => {
+      const downloadPromise = page.waitForEvent('download');
+      await evaluateInApp(page, (app) => app.exportToXLSX());
+      const download = await downloadPromise;
+      const stream = await download.createReadStream();
+      const chunks = [];
+      for await (const chunk of stream) chunks.push(chunk);
+      return { name: download.suggestedFilename(), buffer: Buffer.concat(chunks) };
+    };
+
+    test('should export catalog, semester and summary sheets', async ({ page }) => {
+      page.on('dialog', dialog => dialog.accept());
+      await page.getByRole('button', { name: /Auto-Map/ }).click();
+      await waitForAutoMapComplete(page);
+
+      const workbook = await exportWorkbook(page);
+      expect(workbook.name).toMatch(/\.xlsx$/);
+
+      const files = unzipSync(new Uint8Array(workbook.buffer));
+      const sheetList = strFromU8(files['xl/workbook.xml']);
+      expect(sheetList).toContain('name="Catalog"');
+      expect(sheetList).toContain('name="Semester 1"');
+      expect(sheetList).toContain('name="Summary"');
+      const semesterSheet = strFromU8(files['xl/worksheets/sheet2.xml']);
+      expect(semesterSheet).toContain('Total Credits Taken');
+    });
+
+    test('should import an exported workbook through the import preview', async ({ page }) => {
+      page.on('dialog', dialog => dialog.accept());
+      const workbook = await exportWorkbook(page);
+      await evaluateInApp(page, (app) => {
+        app.courses.pop();
+        app.invalidateCache();
+      });
+
+      await page.locator('input[type="file"][accept^=".xlsx"]').setInputFiles({
+        name: workbook.name,
+        mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        buffer: workbook.buffer
+      });
+
+      await expect(page.getByTestId('import-preview-modal')).toBeVisible();
+      await expect(page.getByTestId('import-row-added')).toHaveCount(1);
+      await page.getByTestId('import-preview-apply').click();
+      const count = await evaluateInApp(page, (app) => app.courses.length);
+      expect(count).toBe(68);
+    });
+  });
+
+  // ========================================================================
+  // SECTION 37: IMPORT VALIDATION
+  // ========================================================================
+
+  test.describe('Import Validation', () => {
+
+    // Import the current plan after `edit` has changed its exported data
+    const importPlan = async (page, edit) => {
+      const plan = await evaluateInApp(page, (app) => JSON.parse(JSON.stringify(app.serializePlan())));
+      edit(plan);
+      await page.locator('input[type="file"][accept=".json"]').setInputFiles({
+        name: 'plan.json',
+        mimeType: 'application/json',
+        buffer: Buffer.from(JSON.stringify(plan))
+      });
+    };
+
+    test('should report each problem with its path', async ({ page }) => {
+      await importPlan(page, (data) => {
+        data.courses[12].credits = 12;
+        data.courses[3].code = '';
+      });
+
+      await expect(page.getByTestId('import-validation-modal')).toBeVisible();
+      await expect(page.getByTestId('import-validation-summary')).toContainText('2');
+      await expect(page.getByTestId('import-validation-problem')).toHaveCount(2);
+      await expect(page.getByTestId('import-validation-modal')).toContainText('courses[12].credits must be 1–8');
+      await expect(page.getByTestId('import-validation-modal')).toContainText('courses[3].code must not be empty');
+      await expect(page.getByTestId('import-validation-continue')).toBeDisabled();
+
+      await page.getByTestId('import-validation-cancel').click();
+      const credits = await evaluateInApp(page, (app) => app.courses[12].credits);
+      expect(credits).toBeLessThanOrEqual(8);
+    });
+
+    test('should continue to the preview once values are fixed', async ({ page }) => {
+      page.on('dialog', dialog => dialog.accept());
+      await importPlan(page, (data) => {
+        data.courses[12].credits = 12;
+      });
+
+      const row = page.locator('[data-testid="import-validation-row"][data-row="courses[12]"]');
+      await row.getByTestId('import-validation-fix').fill('3');
+      await row.getByTestId('import-validation-fix').press('Tab');
+      await expect(page.getByTestId('import-validation-continue')).toBeEnabled();
+      await page.getByTestId('import-validation-continue').click();
+
+      await expect(page.getByTestId('import-preview-modal')).toBeVisible();
+      await page.getByTestId('import-preview-apply').click();
+      const credits = await evaluateInApp(page, (app) => app.courses[12].credits);
+      expect(credits).toBe(3);
+    });
+
+    test('should leave skipped rows out of the import', async ({ page }) => {
+      page.on('dialog', dialog => dialog.accept());
+      await importPlan(page, (data) => {
+        data.courses[0].id = data.courses[1].id;
+        data.assignments[data.courses[2].id] = { assignedSemester: '20', status: 'planned' };
+      });
+
+      await expect(page.getByTestId('import-validation-modal')).toContainText('courses[1].id repeats the id of courses[0]');
+      await expect(page.getByTestId('import-validation-modal')).toContainText('is not a semester of this plan');
+      await page.locator('[data-testid="import-validation-row"][data-row="courses[0]"]').getByTestId('import-validation-skip').check();
+      await page.locator('[data-testid="import-validation-row"][data-row^="assignments."]').getByTestId('import-validation-skip').check();
+      await page.getByTestId('import-validation-continue').click();
+      await page.getByTestId('import-preview-apply').click();
+
+      const result = await evaluateInApp(page, (app) => ({
+        count: app.courses.length,
+        assigned: app.courses.filter(c => c.assignedSemester).length
+      }));
+      expect(result.count).toBe(67);
+      expect(result.assigned).toBe(0);
+    });
+
+    test('should check semester ids of a file with other settings without changing the plan', async ({ page }) => {
+      const result = await evaluateInApp(page, (app) => {
+        const before = JSON.stringify({ layout: app.semesterLayout, semesters: app.semesterList, settings: app.settings });
+        const data = JSON.parse(JSON.stringify(app.serializePlan()));
+        data.settings.totalSemesters = 12;
+        data.assignments[data.courses[0].id] = { assignedSemester: '12', status: 'planned' };
+        data.assignments[data.courses[1].id] = { assignedSemester: '13', status: 'planned' };
+        const problems = app.validateImportData(data, []);
+        return {
+          paths: problems.map(problem => problem.path),
+          expected: `assignments.${data.courses[1].id}.assignedSemester`,
+          unchanged: JSON.stringify({ layout: app.semesterLayout, semesters: app.semesterList, settings: app.settings }) === before
+        };
+      });
+
+      expect(result.paths).toEqual([result.expected]);
+      expect(result.unchanged).toBe(true);
+    });
+  });
+
+  // ========================================================================
+  // SECTION 38: SHARE LINKS
+  // ========================================================================
+
+  test.describe('Share Links', () => {
+
+    // The link is opened in a second tab of the same browser, which shares its localStorage
+    const openInNewTab = async (page, url) => {
+      const viewer = await page.context().newPage();
+      await viewer.goto(url, { waitUntil: 'domcontentloaded' });
+      await waitForAlpineInit(viewer);
+      return viewer;
+    };
+
+    test('should open a shared plan read-only without changing saved plans', async ({ page }) => {
+      const link = await evaluateInApp(page, async (app) => {
+        app.assignCourse(app.courses[0], '1');
+        const url = await app.getShareLink();
+        app.unassignCourse(app.courses[0]);
+        return url;
+      });
+      expect(link).toContain('#share=');
+      const saved = await page.evaluate(() => JSON.stringify(localStorage));
+
+      const viewer = await openInNewTab(page, link);
+      await expect(viewer.getByTestId('shared-plan-banner')).toBeVisible();
+      await expect(viewer.getByTestId('plan-bar')).toBeHidden();
+
+      const state = await evaluateInApp(viewer, (app) => {
+        app.assignCourse(app.courses[5], '3');
+        return { first: app.courses[0].assignedSemester, fifth: app.courses[5].assignedSemester };
+      });
+      expect(state.first).toBe('1');
+      expect(state.fifth).toBeNull();
+      expect(await viewer.evaluate(() => JSON.stringify(localStorage))).toBe(saved);
+    });
+
+    test('should import a shared plan as a new plan', async ({ page }) => {
+      const link = await evaluateInApp(page, async (app) => {
+        app.assignCourse(app.courses[0], '1');
+        return app.getShareLink();
+      });
+
+      const viewer = await openInNewTab(page, link);
+      viewer.on('dialog', dialog => dialog.accept('From advisor'));
+      await viewer.getByTestId('shared-plan-import-btn').click();
+
+      await expect(viewer.getByTestId('shared-plan-banner')).toBeHidden();
+      await expect(viewer.getByTestId('plan-bar')).toBeVisible();
+      const result = await evaluateInApp(viewer, (app) => ({
+        plans: app.plans.map(p => p.name),
+        active: app.activePlanName,
+        assigned: app.courses[0].assignedSemester
+      }));
+      expect(result.plans).toHaveLength(2);
+      expect(result.active).toBe('From advisor');
+      expect(result.assigned).toBe('1');
+      expect(viewer.url()).not.toContain('#share=');
+      const data = await getActivePlanData(viewer);
+      expect(Object.values(data.assignments).map(a => a.assignedSemester)).toEqual(['1']);
+    });
+
+    test('should fall back to the saved plan for a broken link', async ({ page }) => {
+      const viewer = await page.context().newPage();
+      let message = '';
+      viewer.on('dialog', dialog => {
+        message = dialog.message();
+        dialog.accept();
+      });
+      await viewer.goto('/#share=broken', { waitUntil: 'domcontentloaded' });
+      await waitForCourseDataLoaded(viewer);
+
+      await expect(viewer.getByTestId('plan-bar')).toBeVisible();
+      await expect(viewer.getByTestId('shared-plan-banner')).toHaveCount(0);
+      expect(message).toContain('share link could not be opened');
+    });
+  });
 }); // Close main describe block ('Course-Logs - Comprehensive Test Suite')
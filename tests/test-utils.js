@@ -63,6 +63,39 @@ export async function waitForAutoMapComplete(page) {
   );
 }
 
+/**
+ * Runs a function against the courseApp() Alpine component in the page
+ * Lets tests drive component methods directly where UI events are unreliable
+ * (Playwright's selectOption() does not trigger Alpine.js @change handlers)
+ *
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @param {Function} fn - Receives (app, arg); must be self-contained
+ * @param {*} [arg] - Serializable argument passed to fn
+ * @returns {Promise<*>} Serializable return value of fn
+ */
+export async function evaluateInApp(page, fn, arg) {
+  return page.evaluate(({ source, arg }) => {
+    const app = window.Alpine.$data(document.querySelector('[x-data="courseApp()"]'));
+    return new Function('app', 'arg', `return (${source})(app, arg);`)(app, arg);
+  }, { source: fn.toString(), arg });
+}
+
+/**
+ * Reads the saved data of the active study plan from localStorage
+ * Plans are listed under 'lectureStudyPlans'; each plan is stored under 'lectureStudyPlan:<id>'
+ *
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @returns {Promise<Object|null>} Parsed plan data, or null when the plan has not been saved
+ */
+export async function getActivePlanData(page) {
+  return page.evaluate(() => {
+    const index = JSON.parse(localStorage.getItem('lectureStudyPlans') || 'null');
+    if (!index) return null;
+    const data = localStorage.getItem(`lectureStudyPlan:${index.activePlanId}`);
+    return data ? JSON.parse(data) : null;
+  });
+}
+
 /**
  * Collects Core Web Vitals metrics from page (OPTIMIZED)
  * @param {Page} page - Playwright page object
@@ -439,6 +472,8 @@ export default {
   waitForAlpineInit,
   waitForCourseDataLoaded,
   waitForAutoMapComplete,
+  evaluateInApp,
+  getActivePlanData,
   // Existing helpers (optimized)
   collectWebVitals,
   checkAccessibility,